@@ -1,22 +1,53 @@
 require('dotenv').config();
 const express = require('express');
-const cors = require('cors');
 const { PrismaClient } = require('@prisma/client');
 
 const authRoutes = require('./routes/auth');
 const trainingRoutes = require('./routes/training');
 const statsRoutes = require('./routes/stats');
+const goalRoutes = require('./routes/goals');
+const scheduleRoutes = require('./routes/schedule');
+const templateRoutes = require('./routes/templates');
+const teamRoutes = require('./routes/teams');
+const dataRoutes = require('./routes/data');
+const pushRoutes = require('./routes/push');
+const gameRoutes = require('./routes/games');
+const drillRoutes = require('./routes/drills');
+const achievementRoutes = require('./routes/achievements');
+const calendarRoutes = require('./routes/calendar');
+const { checkPushSender, createPushSender } = require('./services/push');
+const { checkMailer, createMailer } = require('./services/mailer');
+const { startReminderScheduler } = require('./services/reminders');
+const { createRateLimitStore } = require('./services/rateLimit');
+const { checkJwtSecret } = require('./middleware/auth');
+const { checkCorsOrigins, createCors } = require('./middleware/cors');
+const { getTrustProxy } = require('./middleware/rateLimit');
+
+const configError = checkJwtSecret() || checkCorsOrigins() || checkMailer() || checkPushSender();
+if (configError) {
+  console.error(`Refusing to start: ${configError}`);
+  process.exit(1);
+}
 
 const app = express();
 const prisma = new PrismaClient();
 const PORT = process.env.PORT || 3000;
 
-// Middleware - Allow all origins for this app
-app.use(cors({
-  origin: true,
-  credentials: true
-}));
-app.use(express.json());
+// Web Push when VAPID keys are set, otherwise notifications are only logged
+app.locals.pushSender = createPushSender();
+
+// SMTP in production; console or file transport locally
+app.locals.mailer = createMailer();
+
+// Behind Railway's proxy, req.ip comes from X-Forwarded-For
+app.set('trust proxy', getTrustProxy());
+
+// Login and sign-up limits; in memory unless a shared store is configured
+app.locals.rateLimitStore = createRateLimitStore();
+
+// Middleware - Only the configured frontend origins
+app.use(createCors());
+app.use(express.json({ limit: '10mb' })); // Room for history imports
 
 // Make prisma available to routes
 app.use((req, res, next) => {
@@ -33,6 +64,16 @@ app.get('/api/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/training', trainingRoutes);
 app.use('/api/stats', statsRoutes);
+app.use('/api/goals', goalRoutes);
+app.use('/api/schedule', scheduleRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/push', pushRoutes);
+app.use('/api/games', gameRoutes);
+app.use('/api/drills', drillRoutes);
+app.use('/api/achievements', achievementRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api', dataRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -47,9 +88,15 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Not found' });
 });
 
+// Reminder scheduler (set REMINDERS_ENABLED=false to run it elsewhere)
+const reminders = process.env.REMINDERS_ENABLED === 'false'
+  ? null
+  : startReminderScheduler(prisma, app.locals.pushSender);
+
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down...');
+  reminders?.stop();
   await prisma.$disconnect();
   process.exit(0);
 });
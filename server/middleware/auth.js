@@ -2,10 +2,38 @@ const jwt = require('jsonwebtoken');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-change-in-production';
 
+// Access tokens are short-lived; sessions continue through refresh tokens
+const ACCESS_TOKEN_TTL = '15m';
+
+// Secrets from the docs and examples, which must never sign real tokens
+const PLACEHOLDER_SECRETS = [
+  'dev-secret-change-in-production',
+  'dev-secret-key',
+  'your-super-secret-jwt-key-change-this-in-production',
+  'your-super-secret-key-change-this-in-production'
+];
+
 /**
- * Middleware to verify JWT token and attach user to request
+ * Check the JWT secret is safe to run with. In production it must be set
+ * to a random value; returns an error message or null.
  */
-function authenticateToken(req, res, next) {
+function checkJwtSecret(env = process.env) {
+  if (env.NODE_ENV !== 'production') return null;
+
+  const secret = env.JWT_SECRET;
+  if (!secret || PLACEHOLDER_SECRETS.includes(secret) || secret.length < 32) {
+    return 'JWT_SECRET must be set to a random value of at least 32 characters in production';
+  }
+  return null;
+}
+
+/**
+ * Middleware to verify JWT token and attach user to request. The token's
+ * session must still exist, so signing a device out, changing the
+ * password or deleting the account cuts off its access tokens right away
+ * instead of when they expire.
+ */
+async function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -13,35 +41,70 @@ function authenticateToken(req, res, next) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, JWT_SECRET);
   } catch (err) {
     if (err.name === 'TokenExpiredError') {
       return res.status(401).json({ error: 'Token expired' });
     }
     return res.status(403).json({ error: 'Invalid token' });
   }
+
+  try {
+    const session = decoded.sessionId && await req.prisma.session.findUnique({
+      where: { id: decoded.sessionId },
+      select: { userId: true }
+    });
+    if (!session || session.userId !== decoded.userId) {
+      return res.status(401).json({ error: 'Session ended' });
+    }
+
+    req.user = {
+      ...decoded,
+      role: decoded.role || 'athlete' // Tokens issued before roles existed
+    };
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Middleware factory that only lets users with one of the given roles through.
+ * Use after authenticateToken.
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+  };
 }
 
 /**
- * Generate JWT token for a user
+ * Generate a short-lived access token for a user's session
  */
-function generateToken(user) {
+function generateToken(user, sessionId) {
   return jwt.sign(
     {
       userId: user.id,
       email: user.email,
-      name: user.name
+      name: user.name,
+      role: user.role,
+      sessionId
     },
     JWT_SECRET,
-    { expiresIn: '7d' }
+    { expiresIn: ACCESS_TOKEN_TTL }
   );
 }
 
 module.exports = {
   authenticateToken,
+  requireRole,
   generateToken,
+  checkJwtSecret,
+  ACCESS_TOKEN_TTL,
   JWT_SECRET
 };
@@ -0,0 +1,68 @@
+const cors = require('cors');
+
+// Any port on these hosts is allowed outside production, for local dev,
+// as is index.html opened from disk (its origin is "null")
+const DEV_HOSTS = ['localhost', '127.0.0.1'];
+
+/**
+ * Origins the API answers cross-origin requests from: CORS_ORIGINS
+ * (comma-separated), or FRONTEND_URL when that isn't set
+ */
+function getAllowedOrigins(env = process.env) {
+  const configured = env.CORS_ORIGINS || env.FRONTEND_URL || '';
+  return configured
+    .split(',')
+    .map(value => value.trim())
+    .filter(Boolean)
+    .map(value => {
+      try {
+        return new URL(value).origin;
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Returns an error message if production has no origins to allow
+ */
+function checkCorsOrigins(env = process.env) {
+  if (env.NODE_ENV !== 'production') return null;
+  if (getAllowedOrigins(env).length === 0) {
+    return 'CORS_ORIGINS (or FRONTEND_URL) must list the frontend origin in production';
+  }
+  return null;
+}
+
+function isDevOrigin(origin) {
+  if (origin === 'null') return true;
+  try {
+    return DEV_HOSTS.includes(new URL(origin).hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * CORS middleware for the allowlist. Requests without an Origin header
+ * (same-origin, curl, calendar apps) aren't affected; other origins get
+ * no CORS headers, so browsers block them.
+ */
+function createCors(env = process.env) {
+  const allowed = new Set(getAllowedOrigins(env));
+  const allowDev = env.NODE_ENV !== 'production';
+
+  return cors({
+    origin: (origin, callback) => {
+      callback(null, !origin || allowed.has(origin) || (allowDev && isDevOrigin(origin)));
+    },
+    credentials: true
+  });
+}
+
+module.exports = {
+  getAllowedOrigins,
+  checkCorsOrigins,
+  createCors
+};
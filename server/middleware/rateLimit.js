@@ -0,0 +1,49 @@
+/**
+ * Reply 429 with a Retry-After header for a limit that resets at `resetAt`
+ * (ms timestamp)
+ */
+function sendTooManyRequests(res, resetAt, message) {
+  const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: message, retryAfter });
+}
+
+/**
+ * Middleware limiting each client IP to `max` requests per window on a
+ * route. Counters live in app.locals.rateLimitStore.
+ */
+function rateLimit({ name, max, windowMs, message = 'Too many requests. Try again later.' }) {
+  return async (req, res, next) => {
+    try {
+      const store = req.app.locals.rateLimitStore;
+      const { count, resetAt } = await store.increment(`ip:${name}:${req.ip}`, windowMs);
+      if (count > max) {
+        return sendTooManyRequests(res, resetAt, message);
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+/**
+ * Express's trust proxy setting from TRUST_PROXY, so req.ip (which rate
+ * limits count by) is the client's address. Accepts a hop count, true or
+ * false, or anything else Express takes as a string: addresses, subnets
+ * and names like loopback, comma-separated. Defaults to one hop in
+ * production, for Railway's proxy, and none otherwise.
+ */
+function getTrustProxy(env = process.env) {
+  const value = env.TRUST_PROXY?.trim();
+  if (!value) return env.NODE_ENV === 'production' ? 1 : false;
+  if (/^\d+$/.test(value)) return Number(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
+}
+
+module.exports = {
+  sendTooManyRequests,
+  rateLimit,
+  getTrustProxy
+};
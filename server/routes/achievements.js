@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { getAchievements } = require('../services/achievements');
+
+// All achievement routes require authentication
+router.use(authenticateToken);
+
+/**
+ * GET /api/achievements
+ * Every badge (earned with timestamps, or locked with progress) and
+ * personal records for makes in a day, week and month
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const achievements = await getAchievements(req.prisma, req.user.userId);
+    res.json(achievements);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
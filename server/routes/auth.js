@@ -1,21 +1,78 @@
 const express = require('express');
 const router = express.Router();
 const { hashPassword, verifyPassword, isValidEmail, isValidPassword } = require('../services/auth');
-const { generateToken, authenticateToken } = require('../middleware/auth');
+const { authenticateToken, generateToken } = require('../middleware/auth');
+const { createSession, rotateSession, revokeSessionByToken, formatSession } = require('../services/sessions');
+const { PASSWORD_RESET_TTL_MINUTES, issueEmailToken, consumeEmailToken } = require('../services/emailTokens');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../services/mailer');
+const { isValidTimeZone } = require('../services/dates');
+const { getLoginLock, recordFailedLogin, clearFailedLogins, takeUnseenLockouts } = require('../services/rateLimit');
+const { rateLimit, sendTooManyRequests } = require('../middleware/rateLimit');
+
+// Per-IP limits on the routes that check or create credentials
+const loginLimit = rateLimit({
+  name: 'login',
+  max: 20,
+  windowMs: 15 * 60 * 1000,
+  message: 'Too many sign-in attempts. Try again later.'
+});
+const registerLimit = rateLimit({
+  name: 'register',
+  max: 5,
+  windowMs: 60 * 60 * 1000,
+  message: 'Too many accounts created from this network. Try again later.'
+});
+const passwordResetLimit = rateLimit({
+  name: 'forgot-password',
+  max: 5,
+  windowMs: 60 * 60 * 1000,
+  message: 'Too many reset requests. Try again later.'
+});
+
+/**
+ * Format a user for API response
+ */
+function formatUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    emailVerified: Boolean(user.emailVerifiedAt),
+    timeZone: user.timeZone
+  };
+}
+
+/**
+ * Email a verification link. Failures are logged, not returned, so a mail
+ * outage doesn't block sign-up.
+ */
+async function sendVerification(req, user) {
+  try {
+    const token = await issueEmailToken(req.prisma, user.id, 'email_verification');
+    await sendVerificationEmail(req.app.locals.mailer, user, token);
+  } catch (err) {
+    console.error('Failed to send verification email:', err);
+  }
+}
 
 /**
  * POST /api/auth/register
  * Create a new user account
  */
-router.post('/register', async (req, res, next) => {
+router.post('/register', registerLimit, async (req, res, next) => {
   try {
-    const { email, password, name } = req.body;
+    const { email, password, name, role = 'athlete', timeZone } = req.body;
 
     // Validate input
     if (!email || !password || !name) {
       return res.status(400).json({ error: 'Email, password, and name are required' });
     }
 
+    if (!['athlete', 'coach'].includes(role)) {
+      return res.status(400).json({ error: 'role must be athlete or coach' });
+    }
+
     if (!isValidEmail(email)) {
       return res.status(400).json({ error: 'Invalid email format' });
     }
@@ -24,6 +81,10 @@ router.post('/register', async (req, res, next) => {
       return res.status(400).json({ error: 'Password must be at least 6 characters' });
     }
 
+    if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: 'timeZone must be an IANA time zone, e.g. America/Chicago' });
+    }
+
     // Check if user already exists
     const existingUser = await req.prisma.user.findUnique({
       where: { email: email.toLowerCase() }
@@ -39,66 +100,335 @@ router.post('/register', async (req, res, next) => {
       data: {
         email: email.toLowerCase(),
         passwordHash,
-        name: name.trim()
+        name: name.trim(),
+        role,
+        timeZone
       }
     });
 
-    // Generate token
-    const token = generateToken(user);
+    await sendVerification(req, user);
+
+    // Start a session
+    const { token, refreshToken } = await createSession(req.prisma, user, req);
 
     res.status(201).json({
       message: 'Account created successfully',
       token,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name
-      }
+      refreshToken,
+      user: formatUser(user)
     });
   } catch (err) {
     next(err);
   }
 });
 
+function lockedMessage(lockedUntil) {
+  const minutes = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 60000));
+  return `Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or reset your password.`;
+}
+
 /**
  * POST /api/auth/login
- * Login with email and password
+ * Login with email and password. Repeated failures lock the account for
+ * progressively longer; the user hears about lockouts at their next login.
  */
-router.post('/login', async (req, res, next) => {
+router.post('/login', loginLimit, async (req, res, next) => {
   try {
     const { email, password } = req.body;
+    const store = req.app.locals.rateLimitStore;
 
     if (!email || !password) {
       return res.status(400).json({ error: 'Email and password are required' });
     }
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Email and password must be text' });
+    }
+
+    const lockedUntil = await getLoginLock(store, email);
+    if (lockedUntil) {
+      return sendTooManyRequests(res, lockedUntil, lockedMessage(lockedUntil));
+    }
 
     // Find user
     const user = await req.prisma.user.findUnique({
       where: { email: email.toLowerCase() }
     });
 
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid email or password' });
-    }
-
     // Verify password
-    const isValid = await verifyPassword(password, user.passwordHash);
+    const isValid = user && await verifyPassword(password, user.passwordHash);
     if (!isValid) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+      // Unknown emails count too, so lockouts don't reveal which exist
+      const lockout = await recordFailedLogin(store, email);
+      if (!lockout) {
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+
+      if (user) {
+        await req.prisma.loginLockout.create({
+          data: {
+            userId: user.id,
+            failedAttempts: lockout.failedAttempts,
+            lockedUntil: lockout.lockedUntil,
+            ipAddress: req.ip || null,
+            userAgent: req.get('user-agent') || null
+          }
+        });
+      }
+      return sendTooManyRequests(res, lockout.lockedUntil.getTime(), lockedMessage(lockout.lockedUntil.getTime()));
     }
 
-    // Generate token
-    const token = generateToken(user);
+    await clearFailedLogins(store, email);
+
+    // Start a session
+    const { token, refreshToken } = await createSession(req.prisma, user, req);
+    const lockouts = await takeUnseenLockouts(req.prisma, user.id);
 
     res.json({
       message: 'Login successful',
       token,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name
+      refreshToken,
+      user: formatUser(user),
+      lockouts
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a password reset link. Responds the same whether or not the
+ * email is registered, so it can't be used to look up accounts.
+ */
+router.post('/forgot-password', passwordResetLimit, async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || !isValidEmail(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    const user = await req.prisma.user.findUnique({
+      where: { email: email.toLowerCase() }
+    });
+
+    if (user) {
+      const token = await issueEmailToken(req.prisma, user.id, 'password_reset');
+      try {
+        await sendPasswordResetEmail(req.app.locals.mailer, user, token, PASSWORD_RESET_TTL_MINUTES);
+      } catch (err) {
+        // Logged rather than returned so the response stays the same
+        console.error('Failed to send password reset email:', err);
+      }
+    }
+
+    res.json({ message: 'If that email is registered, a reset link is on its way' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password with a reset link's token. Signs out every device.
+ */
+router.post('/reset-password', async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'token and password are required' });
+    }
+
+    if (!isValidPassword(password)) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+
+    const userId = await consumeEmailToken(req.prisma, token, 'password_reset');
+    if (!userId) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    const passwordHash = await hashPassword(password);
+
+    // Following the emailed link also proves the address works
+    const user = await req.prisma.user.findUnique({ where: { id: userId } });
+    await req.prisma.user.update({
+      where: { id: userId },
+      data: {
+        passwordHash,
+        emailVerifiedAt: user.emailVerifiedAt ?? new Date()
+      }
+    });
+
+    await req.prisma.session.deleteMany({ where: { userId } });
+
+    // A new password lifts any lockout
+    await clearFailedLogins(req.app.locals.rateLimitStore, user.email);
+
+    res.json({ message: 'Password updated. Please sign in.' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/auth/verify-email
+ * Confirm an email address with a verification link's token
+ */
+router.post('/verify-email', async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'token is required' });
+    }
+
+    const userId = await consumeEmailToken(req.prisma, token, 'email_verification');
+    if (!userId) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    await req.prisma.user.update({
+      where: { id: userId },
+      data: { emailVerifiedAt: new Date() }
+    });
+
+    res.json({ message: 'Email verified' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Send a new verification link to the current user
+ */
+router.post('/resend-verification', authenticateToken, async (req, res, next) => {
+  try {
+    const user = await req.prisma.user.findUnique({
+      where: { id: req.user.userId }
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.emailVerifiedAt) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    const token = await issueEmailToken(req.prisma, user.id, 'email_verification');
+    await sendVerificationEmail(req.app.locals.mailer, user, token);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token and refresh token
+ */
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ error: 'refreshToken is required' });
+    }
+
+    const result = await rotateSession(req.prisma, refreshToken, req);
+    if (!result) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the session a refresh token belongs to. Works with an expired access token.
+ */
+router.post('/logout', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ error: 'refreshToken is required' });
+    }
+
+    await revokeSessionByToken(req.prisma, refreshToken);
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * List the devices signed in to this account
+ */
+router.get('/sessions', authenticateToken, async (req, res, next) => {
+  try {
+    const sessions = await req.prisma.session.findMany({
+      where: {
+        userId: req.user.userId,
+        expiresAt: { gt: new Date() }
+      },
+      orderBy: { lastUsedAt: 'desc' }
+    });
+
+    res.json(sessions.map(session => formatSession(session, req.user.sessionId)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ * Sign out a device. Its access token stops working right away.
+ */
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res, next) => {
+  try {
+    const { count } = await req.prisma.session.deleteMany({
+      where: {
+        id: req.params.sessionId,
+        userId: req.user.userId
+      }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Sign out every device except this one
+ */
+router.delete('/sessions', authenticateToken, async (req, res, next) => {
+  try {
+    const { count } = await req.prisma.session.deleteMany({
+      where: {
+        userId: req.user.userId,
+        ...(req.user.sessionId && { id: { not: req.user.sessionId } })
       }
     });
+
+    res.json({ message: 'Other sessions revoked', revoked: count });
   } catch (err) {
     next(err);
   }
@@ -116,6 +446,9 @@ router.get('/me', authenticateToken, async (req, res, next) => {
         id: true,
         email: true,
         name: true,
+        role: true,
+        emailVerifiedAt: true,
+        timeZone: true,
         createdAt: true
       }
     });
@@ -124,7 +457,186 @@ router.get('/me', authenticateToken, async (req, res, next) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json({ user });
+    res.json({
+      user: {
+        ...formatUser(user),
+        createdAt: user.createdAt
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * The signed-in user, if `password` is their current password
+ */
+async function findUserWithPassword(req, password) {
+  const user = await req.prisma.user.findUnique({
+    where: { id: req.user.userId }
+  });
+  if (!user || !password || !(await verifyPassword(password, user.passwordHash))) {
+    return null;
+  }
+  return user;
+}
+
+/**
+ * PATCH /api/auth/me
+ * Change name and/or email. A new email needs currentPassword and has to
+ * be verified again. Returns a fresh access token carrying the new details.
+ */
+router.patch('/me', authenticateToken, loginLimit, async (req, res, next) => {
+  try {
+    const { name, email, currentPassword } = req.body;
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'Name cannot be empty' });
+    }
+
+    if (email !== undefined && (typeof email !== 'string' || !isValidEmail(email))) {
+      return res.status(400).json({ error: 'Invalid email format' });
+    }
+
+    const user = await req.prisma.user.findUnique({
+      where: { id: req.user.userId }
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const data = {};
+    if (name !== undefined) data.name = name.trim();
+
+    const newEmail = email?.toLowerCase();
+    if (newEmail && newEmail !== user.email) {
+      if (!(await findUserWithPassword(req, currentPassword))) {
+        return res.status(400).json({ error: 'Current password is incorrect' });
+      }
+
+      const existingUser = await req.prisma.user.findUnique({
+        where: { email: newEmail }
+      });
+      if (existingUser) {
+        return res.status(409).json({ error: 'Email already registered' });
+      }
+
+      data.email = newEmail;
+      data.emailVerifiedAt = null;
+    }
+
+    const updated = await req.prisma.user.update({
+      where: { id: user.id },
+      data
+    });
+
+    if (data.email) {
+      await sendVerification(req, updated);
+    }
+
+    res.json({
+      user: formatUser(updated),
+      token: generateToken(updated, req.user.sessionId)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/auth/me/password
+ * Change password with the current one. Signs out every other device and
+ * starts a new session here; returns its tokens.
+ */
+router.put('/me/password', authenticateToken, loginLimit, async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'currentPassword and newPassword are required' });
+    }
+
+    if (!isValidPassword(newPassword)) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+
+    const user = await findUserWithPassword(req, currentPassword);
+    if (!user) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const passwordHash = await hashPassword(newPassword);
+    await req.prisma.user.update({
+      where: { id: user.id },
+      data: { passwordHash }
+    });
+
+    // Every refresh token, this device's included, stops working
+    await req.prisma.session.deleteMany({ where: { userId: user.id } });
+    await clearFailedLogins(req.app.locals.rateLimitStore, user.email);
+
+    const { token, refreshToken } = await createSession(req.prisma, user, req);
+
+    res.json({
+      message: 'Password changed. Other devices have been signed out.',
+      token,
+      refreshToken
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/auth/me
+ * Delete the account and everything in it: training days, goals,
+ * schedule, teams coached and sessions. Body: { password, confirmation:
+ * "DELETE" }.
+ */
+router.delete('/me', authenticateToken, loginLimit, async (req, res, next) => {
+  try {
+    const { password, confirmation } = req.body;
+
+    if (confirmation !== 'DELETE') {
+      return res.status(400).json({ error: 'Type DELETE to confirm' });
+    }
+
+    const user = await findUserWithPassword(req, password);
+    if (!user) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    // Everything owned by the user is removed by onDelete: Cascade
+    await req.prisma.user.delete({
+      where: { id: user.id }
+    });
+    await clearFailedLogins(req.app.locals.rateLimitStore, user.email);
+
+    res.json({ message: 'Account deleted' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/auth/me/timezone
+ * Set the time zone used for "today" and completion times
+ */
+router.put('/me/timezone', authenticateToken, async (req, res, next) => {
+  try {
+    const { timeZone } = req.body;
+
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: 'timeZone must be an IANA time zone, e.g. America/Chicago' });
+    }
+
+    const user = await req.prisma.user.update({
+      where: { id: req.user.userId },
+      data: { timeZone }
+    });
+
+    res.json({ user: formatUser(user) });
   } catch (err) {
     next(err);
   }
@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { issueFeedToken, findFeedUser, buildCalendarFeed } = require('../services/calendarFeed');
+
+const feedPath = token => `/api/calendar/feed/${token}.ics`;
+
+/**
+ * Format a user's feed for API response. The token itself is only
+ * returned when it is issued.
+ */
+function formatFeed(feed) {
+  return {
+    enabled: Boolean(feed),
+    createdAt: feed?.createdAt || null,
+    lastUsedAt: feed?.lastUsedAt || null
+  };
+}
+
+/**
+ * GET /api/calendar/feed/:token.ics
+ * iCalendar feed of the training plan for calendar apps to subscribe to.
+ * The secret token in the URL is the only credential, so no login header.
+ */
+router.get('/feed/:token.ics', async (req, res, next) => {
+  try {
+    const user = await findFeedUser(req.prisma, req.params.token);
+    if (!user) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    const calendar = await buildCalendarFeed(req.prisma, user);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="training.ics"',
+      'Cache-Control': 'private, max-age=900'
+    });
+    res.send(calendar);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Managing the feed requires authentication
+router.use(authenticateToken);
+
+/**
+ * GET /api/calendar/feed
+ * Whether a feed is on, and when a calendar last fetched it
+ */
+router.get('/feed', async (req, res, next) => {
+  try {
+    const feed = await req.prisma.calendarFeed.findUnique({
+      where: { userId: req.user.userId }
+    });
+
+    res.json(formatFeed(feed));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/calendar/feed
+ * Turn the feed on, or reset its URL. Returns the new subscription path;
+ * calendars subscribed to an earlier URL stop updating.
+ */
+router.post('/feed', async (req, res, next) => {
+  try {
+    const { token, feed } = await issueFeedToken(req.prisma, req.user.userId);
+
+    res.status(201).json({
+      ...formatFeed(feed),
+      token,
+      path: feedPath(token)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/calendar/feed
+ * Turn the feed off; its URL stops working
+ */
+router.delete('/feed', async (req, res, next) => {
+  try {
+    await req.prisma.calendarFeed.deleteMany({
+      where: { userId: req.user.userId }
+    });
+
+    res.json({ message: 'Calendar feed turned off' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { changeContext, trackChanges } = require('../services/history');
+const {
+  EXPORT_VERSION,
+  CSV_COLUMNS,
+  iterateTrainingDays,
+  serializeDay,
+  dayToCsvRows,
+  parseCsv,
+  validateImport,
+  importTrainingDays
+} = require('../services/export');
+
+/**
+ * GET /api/export?format=json|csv
+ * Stream the user's full training history
+ */
+router.get('/export', authenticateToken, async (req, res, next) => {
+  const { format = 'json' } = req.query;
+
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({ error: 'format must be json or csv' });
+  }
+
+  try {
+    const user = await req.prisma.user.findUnique({
+      where: { id: req.user.userId },
+      select: { email: true, name: true }
+    });
+
+    const filename = `training-export-${new Date().toISOString().split('T')[0]}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') {
+      res.type('text/csv');
+      res.write(CSV_COLUMNS.join(',') + '\n');
+
+      for await (const day of iterateTrainingDays(req.prisma, req.user.userId)) {
+        res.write(dayToCsvRows(serializeDay(day)).join('\n') + '\n');
+      }
+    } else {
+      res.type('application/json');
+      res.write(
+        `{"version":${EXPORT_VERSION},` +
+        `"exportedAt":${JSON.stringify(new Date().toISOString())},` +
+        `"user":${JSON.stringify(user)},"trainingDays":[`
+      );
+
+      let first = true;
+      for await (const day of iterateTrainingDays(req.prisma, req.user.userId)) {
+        res.write((first ? '' : ',') + JSON.stringify(serializeDay(day)));
+        first = false;
+      }
+
+      res.write(']}');
+    }
+
+    res.end();
+  } catch (err) {
+    if (res.headersSent) {
+      // Too late for a JSON error; cut the download short instead
+      console.error('Export failed:', err);
+      return res.destroy(err);
+    }
+    next(err);
+  }
+});
+
+/**
+ * POST /api/import
+ * Merge an export back in. Accepts the JSON export (application/json)
+ * or the CSV export (text/csv). Safe to repeat.
+ */
+router.post('/import', authenticateToken, express.text({ type: 'text/csv', limit: '10mb' }), async (req, res, next) => {
+  try {
+    let days;
+
+    if (req.is('text/csv')) {
+      days = parseCsv(req.body || '');
+    } else {
+      if (req.body?.version !== undefined && req.body.version > EXPORT_VERSION) {
+        return res.status(400).json({ error: `Unsupported export version ${req.body.version}` });
+      }
+      days = req.body?.trainingDays;
+    }
+
+    const error = validateImport(days);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await req.prisma.$transaction(async tx => {
+      const tracker = await trackChanges(tx, changeContext(req), days.map(day => day.date));
+      const result = await importTrainingDays(tx, req.user.userId, days);
+      return { ...result, historyBatchId: await tracker.finish() };
+    }, { timeout: 120000 });
+
+    res.json({
+      message: 'Import complete',
+      ...result
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
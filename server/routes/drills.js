@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const {
+  DRILL_CATEGORIES,
+  validateDrill,
+  toDrillFields,
+  formatDrill,
+  visibleDrillsWhere
+} = require('../services/drills');
+
+// All drill routes require authentication
+router.use(authenticateToken);
+
+const OWNER_SELECT = { select: { id: true, name: true } };
+
+/**
+ * Find a drill owned by the current user. Shared drills can be planned
+ * by teammates but only changed by their owner.
+ */
+async function findOwnDrill(req) {
+  const drill = await req.prisma.drill.findUnique({
+    where: { id: req.params.drillId },
+    include: { user: OWNER_SELECT }
+  });
+  return drill && drill.userId === req.user.userId ? drill : null;
+}
+
+/**
+ * GET /api/drills
+ * Drill library: your drills plus drills shared by people on your teams.
+ * Filter with ?category=
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { category } = req.query;
+
+    if (category !== undefined && !DRILL_CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: `category must be one of ${DRILL_CATEGORIES.join(', ')}` });
+    }
+
+    const drills = await req.prisma.drill.findMany({
+      where: {
+        ...(await visibleDrillsWhere(req.prisma, req.user.userId)),
+        ...(category && { category })
+      },
+      include: { user: OWNER_SELECT },
+      orderBy: [{ category: 'asc' }, { name: 'asc' }]
+    });
+
+    res.json(drills.map(drill => formatDrill(drill, req.user.userId)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/drills
+ * Add a drill to your library
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const fields = toDrillFields(req.body);
+    const error = validateDrill(fields);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const drill = await req.prisma.drill.create({
+      data: { ...fields, userId: req.user.userId },
+      include: { user: OWNER_SELECT }
+    });
+
+    res.status(201).json(formatDrill(drill, req.user.userId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/drills/:drillId
+ * Update one of your drills
+ */
+router.put('/:drillId', async (req, res, next) => {
+  try {
+    const drill = await findOwnDrill(req);
+    if (!drill) {
+      return res.status(404).json({ error: 'Drill not found' });
+    }
+
+    const fields = toDrillFields(req.body, drill);
+    const error = validateDrill(fields);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const updated = await req.prisma.drill.update({
+      where: { id: drill.id },
+      data: fields,
+      include: { user: OWNER_SELECT }
+    });
+
+    res.json(formatDrill(updated, req.user.userId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/drills/:drillId
+ * Remove one of your drills. Plans keep their own name; logged sessions
+ * have none and show as plain custom sessions. Both lose the link, so
+ * they no longer count toward a category.
+ */
+router.delete('/:drillId', async (req, res, next) => {
+  try {
+    const drill = await findOwnDrill(req);
+    if (!drill) {
+      return res.status(404).json({ error: 'Drill not found' });
+    }
+
+    await req.prisma.drill.delete({
+      where: { id: drill.id }
+    });
+
+    res.json({ message: 'Drill removed' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
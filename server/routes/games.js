@@ -0,0 +1,298 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { getOrCreateTrainingDay } = require('../services/training');
+const { todayInTimeZone, getUserTimeZone } = require('../services/dates');
+const { parseGameSchedule, planGameImport, applyGameImport } = require('../services/gameSchedule');
+const {
+  validateGame,
+  toGameFields,
+  clearEmptyGameDay,
+  formatGame,
+  summarizeGames,
+  getSeason,
+  getGames,
+  getPracticeCorrelation
+} = require('../services/games');
+
+// All game routes require authentication
+router.use(authenticateToken);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Date range from ?season=YYYY (the season starting that year), or
+ * ?start=&end=, or the current season. Returns { error } if invalid.
+ */
+async function resolveRange(req) {
+  const { season, start, end } = req.query;
+
+  if (season !== undefined) {
+    if (!/^\d{4}$/.test(season)) {
+      return { error: 'season must be the year it starts, e.g. 2026' };
+    }
+    return getSeason({ year: Number(season) });
+  }
+
+  if (start !== undefined || end !== undefined) {
+    if (!DATE_PATTERN.test(start) || !DATE_PATTERN.test(end)) {
+      return { error: 'start and end must both be YYYY-MM-DD' };
+    }
+    if (start > end) {
+      return { error: 'start must be on or before end' };
+    }
+    return { season: null, start, end };
+  }
+
+  const timeZone = await getUserTimeZone(req.prisma, req.user.userId);
+  return getSeason({ date: todayInTimeZone(timeZone) });
+}
+
+/**
+ * Find a game owned by the current user
+ */
+async function findOwnGame(req, gameId) {
+  const game = await req.prisma.game.findUnique({
+    where: { id: gameId },
+    include: { trainingDay: true }
+  });
+  return game && game.trainingDay.userId === req.user.userId ? game : null;
+}
+
+/**
+ * GET /api/games
+ * Season game log (?season=YYYY, or ?start=&end=; default current
+ * season) with record, totals and per-game averages
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const range = await resolveRange(req);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const games = await getGames(req.prisma, req.user.userId, range.start, range.end);
+
+    res.json({
+      ...range,
+      games: games.map(formatGame),
+      summary: summarizeGames(games)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/games/practice-correlation
+ * Each game's shooting next to practice shooting in the week before it,
+ * for the same ranges as the game log
+ */
+router.get('/practice-correlation', async (req, res, next) => {
+  try {
+    const range = await resolveRange(req);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const result = await getPracticeCorrelation(req.prisma, req.user.userId, range.start, range.end);
+    res.json({ season: range.season, ...result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Parse an uploaded .ics schedule (text/calendar body) and compare it
+ * with the user's games. Returns { error } or { plan, skipped }.
+ */
+async function planScheduleImport(req) {
+  const timeZone = await getUserTimeZone(req.prisma, req.user.userId);
+  const parsed = parseGameSchedule(typeof req.body === 'string' ? req.body : '', timeZone);
+  if (parsed.error) {
+    return { error: parsed.error };
+  }
+  if (parsed.events.length === 0) {
+    return { error: 'No games found in the file' };
+  }
+
+  const plan = await planGameImport(req.prisma, req.user.userId, parsed.events);
+  return { plan, skipped: parsed.skipped };
+}
+
+const icsBody = express.text({ type: 'text/calendar', limit: '2mb' });
+
+/**
+ * POST /api/games/import/preview
+ * Show what importing a team schedule (.ics, sent as text/calendar)
+ * would do: games to add, move, update or cancel, without changing anything
+ */
+router.post('/import/preview', icsBody, async (req, res, next) => {
+  try {
+    const result = await planScheduleImport(req);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ ...result.plan, skipped: result.skipped });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/games/import
+ * Import a team schedule (.ics, sent as text/calendar). Marks game days
+ * and records opponent and tip-off time. Re-importing an updated file
+ * adds, moves and cancels games instead of duplicating them.
+ */
+router.post('/import', icsBody, async (req, res, next) => {
+  try {
+    const result = await planScheduleImport(req);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    await req.prisma.$transaction(
+      tx => applyGameImport(tx, req.user.userId, result.plan),
+      { timeout: 60000 }
+    );
+
+    res.json({
+      message: 'Schedule imported',
+      ...result.plan,
+      skipped: result.skipped
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/games/:gameId
+ * Get one game
+ */
+router.get('/:gameId', async (req, res, next) => {
+  try {
+    const game = await findOwnGame(req, req.params.gameId);
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    res.json(formatGame(game));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/games
+ * Log a game on a date; the day becomes a game day
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { date } = req.body;
+
+    if (!date || !DATE_PATTERN.test(date)) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
+
+    const fields = toGameFields(req.body);
+    const error = validateGame(fields);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const trainingDay = await getOrCreateTrainingDay(req.prisma, req.user.userId, date);
+
+    const [game] = await req.prisma.$transaction([
+      req.prisma.game.create({
+        data: { ...fields, trainingDayId: trainingDay.id },
+        include: { trainingDay: true }
+      }),
+      req.prisma.trainingDay.update({
+        where: { id: trainingDay.id },
+        data: { isGameDay: true }
+      })
+    ]);
+
+    res.status(201).json(formatGame(game));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/games/:gameId
+ * Update a game; passing date moves it to another day, and the old day
+ * stops being a game day if that was its last game
+ */
+router.put('/:gameId', async (req, res, next) => {
+  try {
+    const game = await findOwnGame(req, req.params.gameId);
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    const { date } = req.body;
+    if (date !== undefined && !DATE_PATTERN.test(date)) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
+
+    const fields = toGameFields(req.body, game);
+    const error = validateGame(fields);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const updated = await req.prisma.$transaction(async (tx) => {
+      let trainingDayId = game.trainingDayId;
+      if (date !== undefined) {
+        const trainingDay = await getOrCreateTrainingDay(tx, req.user.userId, date);
+        trainingDayId = trainingDay.id;
+        await tx.trainingDay.update({
+          where: { id: trainingDayId },
+          data: { isGameDay: true }
+        });
+      }
+
+      const moved = await tx.game.update({
+        where: { id: game.id },
+        data: { ...fields, trainingDayId },
+        include: { trainingDay: true }
+      });
+      if (trainingDayId !== game.trainingDayId) {
+        await clearEmptyGameDay(tx, game.trainingDayId);
+      }
+      return moved;
+    });
+
+    res.json(formatGame(updated));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/games/:gameId
+ * Remove a game. A day left without games stops being a game day.
+ */
+router.delete('/:gameId', async (req, res, next) => {
+  try {
+    const game = await findOwnGame(req, req.params.gameId);
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    await req.prisma.$transaction(async (tx) => {
+      await tx.game.delete({ where: { id: game.id } });
+      await clearEmptyGameDay(tx, game.trainingDayId);
+    });
+
+    res.json({ message: 'Game removed' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { DEFAULT_SHOOTING_GOAL, getGoalHistory, resolveGoal, setGoal, isValidGoal } = require('../services/goals');
+const { isValidDateKey, todayInTimeZone, getUserTimeZone } = require('../services/dates');
+
+// All goal routes require authentication
+router.use(authenticateToken);
+
+/**
+ * Format a goal history entry for API response
+ */
+function formatGoal(goal) {
+  return {
+    id: goal.id,
+    makes: goal.makes,
+    gameDayMakes: goal.gameDayMakes,
+    effectiveFrom: goal.effectiveFrom.toISOString().split('T')[0]
+  };
+}
+
+/**
+ * GET /api/goals
+ * Get the current shooting goal and its history
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const history = await getGoalHistory(req.prisma, req.user.userId);
+    const today = todayInTimeZone(await getUserTimeZone(req.prisma, req.user.userId));
+    const current = history.filter(g => formatGoal(g).effectiveFrom <= today).pop();
+
+    res.json({
+      current: current ? formatGoal(current) : {
+        id: null,
+        makes: DEFAULT_SHOOTING_GOAL,
+        gameDayMakes: null,
+        effectiveFrom: null
+      },
+      today: resolveGoal(history, { date: today, isGameDay: false }),
+      history: history.map(formatGoal)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/goals
+ * Set a new daily shooting goal, effective from a date (defaults to today)
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { makes, gameDayMakes, effectiveFrom } = req.body;
+
+    if (!isValidGoal(makes)) {
+      return res.status(400).json({ error: 'makes must be a positive whole number' });
+    }
+
+    if (gameDayMakes != null && !isValidGoal(gameDayMakes)) {
+      return res.status(400).json({ error: 'gameDayMakes must be a positive whole number' });
+    }
+
+    const date = effectiveFrom || todayInTimeZone(await getUserTimeZone(req.prisma, req.user.userId));
+    if (!isValidDateKey(date)) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
+
+    const goal = await setGoal(req.prisma, req.user.userId, {
+      makes,
+      gameDayMakes,
+      effectiveFrom: date
+    });
+
+    res.status(201).json(formatGoal(goal));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,173 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { isValidTime } = require('../services/schedule');
+const { sendToUser } = require('../services/push');
+
+/**
+ * Format a user's reminder settings for API response
+ */
+function formatSettings(user) {
+  return {
+    remindersEnabled: user.remindersEnabled,
+    reminderMinutes: user.reminderMinutes,
+    eveningNudgeTime: user.eveningNudgeTime
+  };
+}
+
+/**
+ * GET /api/push/vapid-public-key
+ * Public key the browser needs to subscribe. Null when push isn't configured.
+ */
+router.get('/vapid-public-key', (req, res) => {
+  res.json({ publicKey: req.app.locals.pushSender.publicKey });
+});
+
+// Remaining push routes require authentication
+router.use(authenticateToken);
+
+/**
+ * POST /api/push/subscriptions
+ * Save a browser push subscription for the current user
+ */
+router.post('/subscriptions', async (req, res, next) => {
+  try {
+    const { endpoint, keys } = req.body;
+
+    if (!endpoint || !keys?.p256dh || !keys?.auth) {
+      return res.status(400).json({ error: 'endpoint and keys (p256dh, auth) are required' });
+    }
+
+    // A browser endpoint belongs to whoever last subscribed on that device
+    const data = {
+      userId: req.user.userId,
+      p256dh: keys.p256dh,
+      auth: keys.auth,
+      userAgent: req.get('user-agent') || null
+    };
+
+    await req.prisma.pushSubscription.upsert({
+      where: { endpoint },
+      update: data,
+      create: { endpoint, ...data }
+    });
+
+    res.status(201).json({ message: 'Subscribed' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/push/subscriptions
+ * Remove a push subscription (body: { endpoint })
+ */
+router.delete('/subscriptions', async (req, res, next) => {
+  try {
+    const { endpoint } = req.body;
+
+    if (!endpoint) {
+      return res.status(400).json({ error: 'endpoint is required' });
+    }
+
+    await req.prisma.pushSubscription.deleteMany({
+      where: {
+        endpoint,
+        userId: req.user.userId
+      }
+    });
+
+    res.json({ message: 'Unsubscribed' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/push/settings
+ * Get reminder settings
+ */
+router.get('/settings', async (req, res, next) => {
+  try {
+    const user = await req.prisma.user.findUnique({
+      where: { id: req.user.userId }
+    });
+
+    const subscriptions = await req.prisma.pushSubscription.count({
+      where: { userId: req.user.userId }
+    });
+
+    res.json({
+      ...formatSettings(user),
+      subscriptions
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/push/settings
+ * Update reminder settings
+ */
+router.put('/settings', async (req, res, next) => {
+  try {
+    const { remindersEnabled, reminderMinutes, eveningNudgeTime } = req.body;
+    const data = {};
+
+    if (remindersEnabled !== undefined) {
+      if (typeof remindersEnabled !== 'boolean') {
+        return res.status(400).json({ error: 'remindersEnabled must be true or false' });
+      }
+      data.remindersEnabled = remindersEnabled;
+    }
+
+    if (reminderMinutes !== undefined) {
+      if (!Number.isInteger(reminderMinutes) || reminderMinutes < 0 || reminderMinutes > 240) {
+        return res.status(400).json({ error: 'reminderMinutes must be a whole number from 0 to 240' });
+      }
+      data.reminderMinutes = reminderMinutes;
+    }
+
+    if (eveningNudgeTime !== undefined) {
+      if (eveningNudgeTime !== null && !isValidTime(eveningNudgeTime)) {
+        return res.status(400).json({ error: 'eveningNudgeTime must be HH:MM or null' });
+      }
+      data.eveningNudgeTime = eveningNudgeTime;
+    }
+
+    const user = await req.prisma.user.update({
+      where: { id: req.user.userId },
+      data
+    });
+
+    res.json(formatSettings(user));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/push/test
+ * Send a test notification to all of the user's devices
+ */
+router.post('/test', async (req, res, next) => {
+  try {
+    const delivered = await sendToUser(req.prisma, req.app.locals.pushSender, req.user.userId, {
+      title: 'Notifications are on',
+      body: "You'll get reminders before planned training.",
+      tag: 'test',
+      url: './index.html'
+    });
+
+    if (delivered === 0) {
+      return res.status(404).json({ error: 'No push subscriptions found' });
+    }
+
+    res.json({ delivered });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
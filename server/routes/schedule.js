@@ -0,0 +1,290 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const {
+  FIXED_TYPES,
+  ensureSchedule,
+  getSchedule,
+  getBlocksForDate,
+  formatScheduleBlock,
+  formatScheduleException,
+  isValidTime
+} = require('../services/schedule');
+const { isValidDateKey } = require('../services/dates');
+
+// All schedule routes require authentication
+router.use(authenticateToken);
+
+/**
+ * Validate a schedule block body. Returns an error message or null.
+ * With partial set, only the fields present are checked.
+ */
+function validateBlock(body, partial = false) {
+  const { type, title, weekdays, startTime, endTime, skipOnGameDays, effectiveFrom, effectiveTo } = body;
+
+  if (!partial && (!type || !title || !weekdays || !startTime || !endTime)) {
+    return 'type, title, weekdays, startTime and endTime are required';
+  }
+  if (type !== undefined && !FIXED_TYPES.includes(type)) {
+    return 'Invalid activity type';
+  }
+  if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+    return 'title must be text';
+  }
+  if (skipOnGameDays !== undefined && typeof skipOnGameDays !== 'boolean') {
+    return 'skipOnGameDays must be true or false';
+  }
+  if (weekdays !== undefined && (!Array.isArray(weekdays) || weekdays.length === 0 ||
+      !weekdays.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+    return 'weekdays must be a list of days 0-6 (0 = Sunday)';
+  }
+  if ((startTime !== undefined && !isValidTime(startTime)) ||
+      (endTime !== undefined && !isValidTime(endTime))) {
+    return 'Invalid time format. Use HH:MM';
+  }
+  if ((effectiveFrom && !isValidDateKey(effectiveFrom)) ||
+      (effectiveTo && !isValidDateKey(effectiveTo))) {
+    return 'Invalid date format. Use YYYY-MM-DD';
+  }
+  if (effectiveFrom && effectiveTo && effectiveFrom > effectiveTo) {
+    return 'effectiveFrom must be on or before effectiveTo';
+  }
+  return null;
+}
+
+/**
+ * Map a validated block body to Prisma data
+ */
+function toBlockData(body) {
+  const data = {};
+  ['type', 'title', 'weekdays', 'startTime', 'endTime', 'skipOnGameDays'].forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  ['effectiveFrom', 'effectiveTo'].forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field] ? new Date(body[field] + 'T00:00:00.000Z') : null;
+    }
+  });
+  if (typeof data.title === 'string') data.title = data.title.trim();
+  return data;
+}
+
+/**
+ * GET /api/schedule
+ * Get the recurring fixed schedule and its exceptions
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { blocks, exceptions } = await getSchedule(req.prisma, req.user.userId);
+    res.json({
+      blocks: blocks.map(formatScheduleBlock),
+      exceptions: exceptions.map(formatScheduleException)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/schedule/day/:date
+ * Get the fixed blocks that apply on a date
+ */
+router.get('/day/:date', async (req, res, next) => {
+  try {
+    const { date } = req.params;
+
+    if (!isValidDateKey(date)) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
+
+    const schedule = await getSchedule(req.prisma, req.user.userId);
+    const trainingDay = await req.prisma.trainingDay.findUnique({
+      where: {
+        userId_date: {
+          userId: req.user.userId,
+          date: new Date(date + 'T00:00:00.000Z')
+        }
+      }
+    });
+
+    const blocks = getBlocksForDate(schedule, date, trainingDay?.isGameDay ?? false);
+    res.json({ date, blocks: blocks.map(formatScheduleBlock) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/schedule/blocks
+ * Add a recurring block
+ */
+router.post('/blocks', async (req, res, next) => {
+  try {
+    const error = validateBlock(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Make sure the default schedule is saved before adding to it
+    await ensureSchedule(req.prisma, req.user.userId);
+
+    const block = await req.prisma.scheduleBlock.create({
+      data: {
+        ...toBlockData(req.body),
+        userId: req.user.userId
+      }
+    });
+
+    res.status(201).json(formatScheduleBlock(block));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/schedule/blocks/:blockId
+ * Update a recurring block
+ */
+router.put('/blocks/:blockId', async (req, res, next) => {
+  try {
+    const { blockId } = req.params;
+
+    const error = validateBlock(req.body, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Default blocks are only saved once one is changed
+    await ensureSchedule(req.prisma, req.user.userId);
+
+    // Verify ownership
+    const block = await req.prisma.scheduleBlock.findUnique({
+      where: { id: blockId }
+    });
+
+    if (!block || block.userId !== req.user.userId) {
+      return res.status(404).json({ error: 'Schedule block not found' });
+    }
+
+    const data = toBlockData(req.body);
+    const from = data.effectiveFrom !== undefined ? data.effectiveFrom : block.effectiveFrom;
+    const to = data.effectiveTo !== undefined ? data.effectiveTo : block.effectiveTo;
+    if (from && to && from > to) {
+      return res.status(400).json({ error: 'effectiveFrom must be on or before effectiveTo' });
+    }
+
+    const updated = await req.prisma.scheduleBlock.update({
+      where: { id: blockId },
+      data
+    });
+
+    res.json(formatScheduleBlock(updated));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/schedule/blocks/:blockId
+ * Remove a recurring block
+ */
+router.delete('/blocks/:blockId', async (req, res, next) => {
+  try {
+    const { blockId } = req.params;
+
+    // Default blocks are only saved once one is changed
+    await ensureSchedule(req.prisma, req.user.userId);
+
+    // Verify ownership
+    const block = await req.prisma.scheduleBlock.findUnique({
+      where: { id: blockId }
+    });
+
+    if (!block || block.userId !== req.user.userId) {
+      return res.status(404).json({ error: 'Schedule block not found' });
+    }
+
+    await req.prisma.scheduleBlock.delete({
+      where: { id: blockId }
+    });
+
+    res.json({ message: 'Schedule block removed' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/schedule/exceptions
+ * Cancel one block (or every block, when blockId is omitted) on a date
+ */
+router.post('/exceptions', async (req, res, next) => {
+  try {
+    const { date, blockId, reason } = req.body;
+
+    if (!isValidDateKey(date)) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
+
+    if (blockId != null && typeof blockId !== 'string') {
+      return res.status(400).json({ error: 'blockId must be a schedule block id' });
+    }
+
+    if (reason != null && typeof reason !== 'string') {
+      return res.status(400).json({ error: 'reason must be text' });
+    }
+
+    if (blockId) {
+      await ensureSchedule(req.prisma, req.user.userId);
+      const block = await req.prisma.scheduleBlock.findUnique({
+        where: { id: blockId }
+      });
+
+      if (!block || block.userId !== req.user.userId) {
+        return res.status(404).json({ error: 'Schedule block not found' });
+      }
+    }
+
+    const exception = await req.prisma.scheduleException.create({
+      data: {
+        userId: req.user.userId,
+        date: new Date(date + 'T00:00:00.000Z'),
+        blockId: blockId || null,
+        reason: reason ? reason.trim() : null
+      }
+    });
+
+    res.status(201).json(formatScheduleException(exception));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/schedule/exceptions/:exceptionId
+ * Remove an exception
+ */
+router.delete('/exceptions/:exceptionId', async (req, res, next) => {
+  try {
+    const { exceptionId } = req.params;
+
+    // Verify ownership
+    const exception = await req.prisma.scheduleException.findUnique({
+      where: { id: exceptionId }
+    });
+
+    if (!exception || exception.userId !== req.user.userId) {
+      return res.status(404).json({ error: 'Schedule exception not found' });
+    }
+
+    await req.prisma.scheduleException.delete({
+      where: { id: exceptionId }
+    });
+
+    res.json({ message: 'Schedule exception removed' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,19 +1,80 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
-const { calculateStreak } = require('../services/training');
+const { GRANULARITIES, MAX_RANGE_DAYS, getStatsSummary, getWeeklyStats, getRangeStats } = require('../services/stats');
+const { getStreaks } = require('../services/streaks');
+const { getPlanAdherence } = require('../services/adherence');
+const { getCategoryStats } = require('../services/drills');
+const { getLoadStats } = require('../services/load');
+const { getWellnessCorrelation } = require('../services/journal');
+const { isValidDateKey, isValidTimeZone, addDays, todayInTimeZone, getUserTimeZone } = require('../services/dates');
+const { UNSPECIFIED_ZONE, summarizeZones } = require('../services/shooting');
 
 // All stats routes require authentication
 router.use(authenticateToken);
 
+/**
+ * Read ?start= and ?end= for a range route. end defaults to today in
+ * timeZone and start to the defaultDays ending there. Returns
+ * { start, end } or { error } with a message for a 400.
+ */
+function parseRange(query, timeZone, defaultDays = 30) {
+  const end = query.end || todayInTimeZone(timeZone);
+  if (!isValidDateKey(end) || (query.start && !isValidDateKey(query.start))) {
+    return { error: 'Invalid date format. Use YYYY-MM-DD' };
+  }
+  const start = query.start || addDays(end, -(defaultDays - 1));
+
+  if (start > end) {
+    return { error: 'start must be on or before end' };
+  }
+  if (addDays(start, MAX_RANGE_DAYS - 1) < end) {
+    return { error: `Range can be at most ${MAX_RANGE_DAYS} days` };
+  }
+  return { start, end };
+}
+
+/**
+ * Streaks and the last-7-days window depend on what day it is for the
+ * user: their saved time zone, or an IANA zone passed as ?tz=
+ */
+router.use(async (req, res, next) => {
+  try {
+    const { tz } = req.query;
+    if (tz !== undefined && !isValidTimeZone(tz)) {
+      return res.status(400).json({ error: 'tz must be an IANA time zone, e.g. America/Chicago' });
+    }
+    req.timeZone = tz || await getUserTimeZone(req.prisma, req.user.userId);
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * GET /api/stats/streak
- * Get current streak
+ * Get current and longest streak
  */
 router.get('/streak', async (req, res, next) => {
   try {
-    const streak = await calculateStreak(req.prisma, req.user.userId);
-    res.json({ streak });
+    const { current, longest } = await getStreaks(req.prisma, req.user.userId, req.timeZone);
+    res.json({ streak: current, longest });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/stats/streaks
+ * Current and longest streak plus every past streak, most recent first
+ */
+router.get('/streaks', async (req, res, next) => {
+  try {
+    const streaks = await getStreaks(req.prisma, req.user.userId, req.timeZone);
+    res.json({
+      ...streaks,
+      runs: streaks.runs.slice().reverse()
+    });
   } catch (err) {
     next(err);
   }
@@ -25,135 +86,204 @@ router.get('/streak', async (req, res, next) => {
  */
 router.get('/summary', async (req, res, next) => {
   try {
-    const userId = req.user.userId;
+    const summary = await getStatsSummary(req.prisma, req.user.userId, req.timeZone);
+    res.json(summary);
+  } catch (err) {
+    next(err);
+  }
+});
 
-    // Total shooting makes
-    const shootingStats = await req.prisma.actualActivity.aggregate({
-      where: {
-        trainingDay: { userId },
-        type: 'shooting'
-      },
-      _sum: {
-        shootingMakes: true
-      },
-      _count: true
-    });
+/**
+ * GET /api/stats/weekly
+ * Get weekly stats (last 7 days)
+ */
+router.get('/weekly', async (req, res, next) => {
+  try {
+    const weekly = await getWeeklyStats(req.prisma, req.user.userId, req.timeZone);
+    res.json(weekly);
+  } catch (err) {
+    next(err);
+  }
+});
 
-    // Total sessions (all activity types)
-    const sessionsCount = await req.prisma.actualActivity.count({
-      where: {
-        trainingDay: { userId },
-        type: {
-          in: ['coach_skills', 'coach_weights', 'varsity', 'pickup', 'custom']
-        }
-      }
-    });
+/**
+ * GET /api/stats/range
+ * Makes, goal completion, sessions by type, game days and consistency
+ * between start and end (default last 30 days), overall and per day,
+ * week or month
+ */
+router.get('/range', async (req, res, next) => {
+  try {
+    const { granularity = 'day' } = req.query;
 
-    // Days with 200+ makes
-    const perfectDays = await req.prisma.actualActivity.count({
-      where: {
-        trainingDay: { userId },
-        type: 'shooting',
-        shootingMakes: { gte: 200 }
-      }
-    });
+    if (!GRANULARITIES.includes(granularity)) {
+      return res.status(400).json({ error: 'granularity must be day, week or month' });
+    }
+
+    const range = parseRange(req.query, req.timeZone);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    const { start, end } = range;
 
-    const streak = await calculateStreak(req.prisma, userId);
+    const stats = await getRangeStats(req.prisma, req.user.userId, { start, end, granularity }, req.timeZone);
+    res.json(stats);
+  } catch (err) {
+    next(err);
+  }
+});
 
-    res.json({
-      streak,
-      totalMakes: shootingStats._sum.shootingMakes || 0,
-      totalSessions: sessionsCount,
-      perfectDays,
-      shootingDays: shootingStats._count
-    });
+/**
+ * GET /api/stats/adherence
+ * Planned vs actual between start and end (default last 30 days): each
+ * planned activity as on time, late, skipped or pending, plus unplanned
+ * extra sessions
+ */
+router.get('/adherence', async (req, res, next) => {
+  try {
+    const range = parseRange(req.query, req.timeZone);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    const { start, end } = range;
+
+    const adherence = await getPlanAdherence(req.prisma, req.user.userId, start, end, req.timeZone);
+    res.json(adherence);
   } catch (err) {
     next(err);
   }
 });
 
 /**
- * GET /api/stats/weekly
- * Get weekly stats (last 7 days)
+ * GET /api/stats/load
+ * Training load as of ?date= (default today): acute (7-day) and chronic
+ * (28-day) workload, their ratio, warnings when load spikes or a game is
+ * close, daily loads and a 14-day ratio trend
  */
-router.get('/weekly', async (req, res, next) => {
+router.get('/load', async (req, res, next) => {
   try {
-    const userId = req.user.userId;
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const { date } = req.query;
 
-    const weekAgo = new Date(today);
-    weekAgo.setDate(weekAgo.getDate() - 6);
+    if (date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
 
-    // Get all training days for the week
-    const trainingDays = await req.prisma.trainingDay.findMany({
-      where: {
-        userId,
-        date: {
-          gte: weekAgo,
-          lte: today
-        }
-      },
-      include: {
-        plannedActivities: true,
-        actualActivities: true
-      },
-      orderBy: { date: 'asc' }
-    });
+    const load = await getLoadStats(req.prisma, req.user.userId, req.timeZone, date);
+    res.json(load);
+  } catch (err) {
+    next(err);
+  }
+});
 
-    // Build daily stats
-    const dailyStats = [];
-    for (let i = 0; i < 7; i++) {
-      const date = new Date(weekAgo);
-      date.setDate(weekAgo.getDate() + i);
-      const dateStr = date.toISOString().split('T')[0];
+/**
+ * GET /api/stats/drills
+ * Sessions, minutes and reps of custom activities per drill category
+ * between start and end (default last 30 days)
+ */
+router.get('/drills', async (req, res, next) => {
+  try {
+    const range = parseRange(req.query, req.timeZone);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    const { start, end } = range;
+
+    const stats = await getCategoryStats(req.prisma, req.user.userId, start, end);
+    res.json(stats);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/stats/wellness
+ * Wellness check-ins against training between start and end (default
+ * last 90 days): per-metric correlation with makes, goal and plan
+ * completion, low vs high day comparisons and the strongest patterns
+ */
+router.get('/wellness', async (req, res, next) => {
+  try {
+    const range = parseRange(req.query, req.timeZone, 90);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    const { start, end } = range;
+
+    const stats = await getWellnessCorrelation(req.prisma, req.user.userId, start, end);
+    res.json(stats);
+  } catch (err) {
+    next(err);
+  }
+});
 
-      const dayData = trainingDays.find(d => d.date.toISOString().split('T')[0] === dateStr);
+/**
+ * GET /api/stats/shooting
+ * Makes, attempts and percentage per zone between start and end
+ * (default last 30 days), overall and per day or week
+ */
+router.get('/shooting', async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { granularity = 'day' } = req.query;
 
-      const shootingActivity = dayData?.actualActivities?.find(a => a.type === 'shooting');
-      const makes = shootingActivity?.shootingMakes || 0;
+    if (!['day', 'week'].includes(granularity)) {
+      return res.status(400).json({ error: 'granularity must be day or week' });
+    }
 
-      dailyStats.push({
-        date: dateStr,
-        dayOfWeek: date.getDay(),
-        makes,
-        completed: makes >= 200
-      });
+    const range = parseRange(req.query, req.timeZone);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
     }
+    const { start, end } = range;
 
-    // Calculate weekly completion percentage
-    const completedDays = dailyStats.filter(d => d.completed).length;
-    const completionPercentage = Math.round((completedDays / 7) * 100);
-
-    // Calculate consistency (planned vs actual timing)
-    let onTime = 0;
-    let totalPlanned = 0;
-
-    trainingDays.forEach(day => {
-      day.plannedActivities.forEach(planned => {
-        totalPlanned++;
-        const actual = day.actualActivities.find(a => {
-          if (planned.type === 'shooting') return a.type === 'shooting';
-          // For pickup/custom, match by position (simplified)
-          return a.type === planned.type;
-        });
-
-        if (actual?.completedAt && planned.plannedTime) {
-          const [ph, pm] = planned.plannedTime.split(':').map(Number);
-          const [ah, am] = actual.completedAt.split(':').map(Number);
-          const diffMinutes = Math.abs((ah * 60 + am) - (ph * 60 + pm));
-          if (diffMinutes <= 30) onTime++;
+    const sets = await req.prisma.shootingSet.findMany({
+      where: {
+        zone: { not: UNSPECIFIED_ZONE },
+        actualActivity: {
+          trainingDay: {
+            userId,
+            date: {
+              gte: new Date(start + 'T00:00:00.000Z'),
+              lte: new Date(end + 'T00:00:00.000Z')
+            }
+          }
+        }
+      },
+      select: {
+        zone: true,
+        makes: true,
+        attempts: true,
+        actualActivity: {
+          select: {
+            trainingDay: { select: { date: true } }
+          }
         }
-      });
+      }
+    });
+
+    // Bucket sets by day, or by the Sunday starting their week
+    const buckets = new Map();
+    sets.forEach(set => {
+      const date = new Date(set.actualActivity.trainingDay.date);
+      if (granularity === 'week') {
+        date.setUTCDate(date.getUTCDate() - date.getUTCDay());
+      }
+      const key = date.toISOString().split('T')[0];
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(set);
     });
 
-    const consistencyScore = totalPlanned > 0 ? Math.round((onTime / totalPlanned) * 100) : 0;
+    const periods = [...buckets.keys()].sort().map(key => ({
+      start: key,
+      zones: summarizeZones(buckets.get(key))
+    }));
 
     res.json({
-      dailyStats,
-      completionPercentage,
-      consistencyScore,
-      totalMakes: dailyStats.reduce((sum, d) => sum + d.makes, 0)
+      start,
+      end,
+      granularity,
+      zones: summarizeZones(sets),
+      periods
     });
   } catch (err) {
     next(err);
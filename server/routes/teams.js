@@ -0,0 +1,477 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { TRAINING_DAY_INCLUDE, getOrCreateTrainingDay, formatTrainingDayResponse } = require('../services/training');
+const { getGoalHistory, resolveGoal } = require('../services/goals');
+const { getStatsSummary, getWeeklyStats } = require('../services/stats');
+const { isValidDateKey, todayInTimeZone, getUserTimeZone } = require('../services/dates');
+const {
+  generateInviteCode,
+  findCoachedTeam,
+  getAthleteMembership,
+  formatSharing,
+  formatCoachTeam
+} = require('../services/teams');
+const { resolvePlannedDrill } = require('../services/drills');
+const { isValidTime } = require('../services/schedule');
+const { changeContext, trackChanges } = require('../services/history');
+
+// All team routes require authentication
+router.use(authenticateToken);
+
+/**
+ * GET /api/teams
+ * Coaches get the teams they run; athletes get the teams they've joined
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+
+    if (req.user.role === 'coach') {
+      const teams = await req.prisma.team.findMany({
+        where: { coachId: userId },
+        include: {
+          members: {
+            include: {
+              athlete: {
+                select: { id: true, name: true, email: true }
+              }
+            },
+            orderBy: { joinedAt: 'asc' }
+          }
+        },
+        orderBy: { createdAt: 'asc' }
+      });
+
+      return res.json(teams.map(formatCoachTeam));
+    }
+
+    const memberships = await req.prisma.teamMembership.findMany({
+      where: { athleteId: userId },
+      include: {
+        team: {
+          include: {
+            coach: { select: { id: true, name: true } }
+          }
+        }
+      },
+      orderBy: { joinedAt: 'asc' }
+    });
+
+    res.json(memberships.map(membership => ({
+      id: membership.team.id,
+      name: membership.team.name,
+      coach: membership.team.coach,
+      joinedAt: membership.joinedAt,
+      sharing: formatSharing(membership)
+    })));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/teams
+ * Create a team (coaches only)
+ */
+router.post('/', requireRole('coach'), async (req, res, next) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    const team = await req.prisma.team.create({
+      data: {
+        name: name.trim(),
+        coachId: req.user.userId,
+        inviteCode: generateInviteCode()
+      },
+      include: { members: { include: { athlete: true } } }
+    });
+
+    res.status(201).json(formatCoachTeam(team));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/teams/join
+ * Join a team with an invitation code (athletes only)
+ */
+router.post('/join', requireRole('athlete'), async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'code is required' });
+    }
+    if (typeof code !== 'string') {
+      return res.status(400).json({ error: 'code must be text' });
+    }
+
+    const team = await req.prisma.team.findUnique({
+      where: { inviteCode: code.trim().toUpperCase() },
+      include: {
+        coach: { select: { id: true, name: true } }
+      }
+    });
+
+    if (!team) {
+      return res.status(404).json({ error: 'Invalid invitation code' });
+    }
+
+    const membership = await req.prisma.teamMembership.upsert({
+      where: {
+        teamId_athleteId: {
+          teamId: team.id,
+          athleteId: req.user.userId
+        }
+      },
+      update: {},
+      create: {
+        teamId: team.id,
+        athleteId: req.user.userId
+      }
+    });
+
+    res.status(201).json({
+      id: team.id,
+      name: team.name,
+      coach: team.coach,
+      joinedAt: membership.joinedAt,
+      sharing: formatSharing(membership)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/teams/:teamId/sharing
+ * Change what the coach of a team can see and do (athletes only)
+ */
+router.put('/:teamId/sharing', requireRole('athlete'), async (req, res, next) => {
+  try {
+    const where = {
+      teamId_athleteId: {
+        teamId: req.params.teamId,
+        athleteId: req.user.userId
+      }
+    };
+
+    const membership = await req.prisma.teamMembership.findUnique({ where });
+    if (!membership) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const data = {};
+    ['shareTraining', 'shareStats', 'allowPlanning'].forEach(field => {
+      if (typeof req.body[field] === 'boolean') data[field] = req.body[field];
+    });
+
+    const updated = await req.prisma.teamMembership.update({ where, data });
+    res.json(formatSharing(updated));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/teams/:teamId/membership
+ * Leave a team (athletes only)
+ */
+router.delete('/:teamId/membership', requireRole('athlete'), async (req, res, next) => {
+  try {
+    const { count } = await req.prisma.teamMembership.deleteMany({
+      where: {
+        teamId: req.params.teamId,
+        athleteId: req.user.userId
+      }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    res.json({ message: 'Left team' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/teams/:teamId/invite-code
+ * Issue a new invitation code, invalidating the old one (coaches only)
+ */
+router.post('/:teamId/invite-code', requireRole('coach'), async (req, res, next) => {
+  try {
+    const team = await findCoachedTeam(req.prisma, req.user.userId, req.params.teamId);
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const updated = await req.prisma.team.update({
+      where: { id: team.id },
+      data: { inviteCode: generateInviteCode() }
+    });
+
+    res.json({ inviteCode: updated.inviteCode });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/teams/:teamId/members/:athleteId
+ * Remove an athlete from a team (coaches only)
+ */
+router.delete('/:teamId/members/:athleteId', requireRole('coach'), async (req, res, next) => {
+  try {
+    const { teamId, athleteId } = req.params;
+
+    const membership = await getAthleteMembership(req.prisma, req.user.userId, teamId, athleteId);
+    if (!membership) {
+      return res.status(404).json({ error: 'Athlete not found' });
+    }
+
+    await req.prisma.teamMembership.delete({
+      where: { id: membership.id }
+    });
+
+    res.json({ message: 'Athlete removed' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/teams/:teamId/dashboard
+ * Today's shooting, streak and weekly completion for every athlete,
+ * limited to what each athlete shares (coaches only). "Today" is the
+ * athlete's own date, which can differ from the coach's near midnight.
+ */
+router.get('/:teamId/dashboard', requireRole('coach'), async (req, res, next) => {
+  try {
+    const team = await findCoachedTeam(req.prisma, req.user.userId, req.params.teamId);
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const today = todayInTimeZone(await getUserTimeZone(req.prisma, req.user.userId));
+
+    const athletes = await Promise.all(team.members.map(async (member) => {
+      const timeZone = await getUserTimeZone(req.prisma, member.athleteId);
+      const athleteToday = todayInTimeZone(timeZone);
+      const entry = {
+        athlete: member.athlete,
+        sharing: formatSharing(member),
+        today: null,
+        streak: null,
+        weekCompletion: null
+      };
+
+      if (member.shareTraining) {
+        const trainingDay = await req.prisma.trainingDay.findUnique({
+          where: {
+            userId_date: {
+              userId: member.athleteId,
+              date: new Date(athleteToday + 'T00:00:00.000Z')
+            }
+          },
+          include: { actualActivities: { where: { type: 'shooting' } } }
+        });
+
+        const goalHistory = await getGoalHistory(req.prisma, member.athleteId);
+        const makes = trainingDay?.actualActivities?.[0]?.shootingMakes || 0;
+        const goal = resolveGoal(goalHistory, trainingDay || { date: athleteToday, isGameDay: false });
+        entry.today = { date: athleteToday, makes, goal, completed: makes >= goal };
+      }
+
+      if (member.shareStats) {
+        const [summary, weekly] = await Promise.all([
+          getStatsSummary(req.prisma, member.athleteId, timeZone),
+          getWeeklyStats(req.prisma, member.athleteId, timeZone)
+        ]);
+        entry.streak = summary.streak;
+        entry.weekCompletion = weekly.completionPercentage;
+      }
+
+      return entry;
+    }));
+
+    res.json({
+      team: { id: team.id, name: team.name },
+      date: today,
+      athletes
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/teams/:teamId/athletes/:athleteId/training?start=&end=
+ * An athlete's training days, if they share training (coaches only)
+ */
+router.get('/:teamId/athletes/:athleteId/training', requireRole('coach'), async (req, res, next) => {
+  try {
+    const { teamId, athleteId } = req.params;
+    const { start, end } = req.query;
+
+    if (!start || !end) {
+      return res.status(400).json({ error: 'start and end query params required' });
+    }
+    if (!isValidDateKey(start) || !isValidDateKey(end)) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
+    if (start > end) {
+      return res.status(400).json({ error: 'start must be on or before end' });
+    }
+
+    const membership = await getAthleteMembership(req.prisma, req.user.userId, teamId, athleteId);
+    if (!membership) {
+      return res.status(404).json({ error: 'Athlete not found' });
+    }
+    if (!membership.shareTraining) {
+      return res.status(403).json({ error: 'Athlete is not sharing training data' });
+    }
+
+    const trainingDays = await req.prisma.trainingDay.findMany({
+      where: {
+        userId: athleteId,
+        date: {
+          gte: new Date(start + 'T00:00:00.000Z'),
+          lte: new Date(end + 'T23:59:59.999Z')
+        }
+      },
+      include: TRAINING_DAY_INCLUDE,
+      orderBy: { date: 'asc' }
+    });
+
+    const goalHistory = await getGoalHistory(req.prisma, athleteId);
+    res.json(trainingDays.map(day => formatTrainingDayResponse(day, goalHistory)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/teams/:teamId/athletes/:athleteId/stats
+ * An athlete's summary and weekly stats, if they share stats (coaches only)
+ */
+router.get('/:teamId/athletes/:athleteId/stats', requireRole('coach'), async (req, res, next) => {
+  try {
+    const { teamId, athleteId } = req.params;
+
+    const membership = await getAthleteMembership(req.prisma, req.user.userId, teamId, athleteId);
+    if (!membership) {
+      return res.status(404).json({ error: 'Athlete not found' });
+    }
+    if (!membership.shareStats) {
+      return res.status(403).json({ error: 'Athlete is not sharing stats' });
+    }
+
+    // Days and weeks are the athlete's, not the coach's
+    const timeZone = await getUserTimeZone(req.prisma, athleteId);
+    const [summary, weekly] = await Promise.all([
+      getStatsSummary(req.prisma, athleteId, timeZone),
+      getWeeklyStats(req.prisma, athleteId, timeZone)
+    ]);
+
+    res.json({ summary, weekly });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/teams/:teamId/planned
+ * Assign a planned activity to some or all athletes on a team (coaches only).
+ * Athletes who don't allow planning are skipped. Custom activities can
+ * use a drill from the coach's library.
+ */
+router.post('/:teamId/planned', requireRole('coach'), async (req, res, next) => {
+  try {
+    const { date, type, time, location, name, drillId, athleteIds } = req.body;
+
+    if (!isValidDateKey(date)) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
+
+    if (!type || !time) {
+      return res.status(400).json({ error: 'type and time are required' });
+    }
+
+    if (!isValidTime(time)) {
+      return res.status(400).json({ error: 'time must be HH:MM' });
+    }
+
+    if (!['shooting', 'pickup', 'custom'].includes(type)) {
+      return res.status(400).json({ error: 'Invalid activity type' });
+    }
+
+    const team = await findCoachedTeam(req.prisma, req.user.userId, req.params.teamId);
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    // Drills come from the coach's library
+    const drill = await resolvePlannedDrill(req.prisma, req.user.userId, { type, name, drillId });
+    if (drill.error) {
+      return res.status(400).json({ error: drill.error });
+    }
+
+    const targets = Array.isArray(athleteIds)
+      ? team.members.filter(member => athleteIds.includes(member.athleteId))
+      : team.members;
+
+    const assigned = [];
+    const skipped = [];
+
+    await req.prisma.$transaction(async (tx) => {
+      for (const member of targets) {
+        if (!member.allowPlanning) {
+          skipped.push({ athleteId: member.athleteId, reason: 'planning_not_allowed' });
+          continue;
+        }
+
+        const tracker = await trackChanges(tx, changeContext(req, member.athleteId), [date]);
+        const trainingDay = await getOrCreateTrainingDay(tx, member.athleteId, date);
+
+        // For shooting, replace the existing planned shooting
+        if (type === 'shooting') {
+          await tx.plannedActivity.deleteMany({
+            where: {
+              trainingDayId: trainingDay.id,
+              type: 'shooting'
+            }
+          });
+        }
+
+        await tx.plannedActivity.create({
+          data: {
+            trainingDayId: trainingDay.id,
+            type,
+            plannedTime: time,
+            location: type === 'pickup' ? location : null,
+            name: drill.name,
+            drillId: drill.drillId,
+            assignedById: req.user.userId
+          }
+        });
+        await tracker.finish();
+
+        assigned.push(member.athleteId);
+      }
+    }, { timeout: 30000 });
+
+    res.status(201).json({ assigned, skipped });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
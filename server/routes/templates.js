@@ -0,0 +1,250 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { getWeekStart, addDays } = require('../services/dates');
+const {
+  validateTemplateActivities,
+  snapshotWeek,
+  formatTemplate,
+  applyWeekPlan
+} = require('../services/templates');
+const { findVisibleDrill } = require('../services/drills');
+const { changeContext, trackChanges } = require('../services/history');
+
+// All template routes require authentication
+router.use(authenticateToken);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Map template activities from the API to Prisma data
+ */
+function toActivityData(activities) {
+  return activities.map(activity => ({
+    weekday: activity.weekday,
+    type: activity.type,
+    plannedTime: activity.time,
+    location: activity.type === 'pickup' ? activity.location : null,
+    name: activity.type === 'custom' ? activity.name : null,
+    drillId: activity.type === 'custom' ? activity.drillId || null : null
+  }));
+}
+
+/**
+ * Whether every drill the activities use is in the user's library
+ */
+async function drillsAvailable(req, activities) {
+  for (const activity of activities) {
+    if (activity.type === 'custom' && activity.drillId &&
+        !(await findVisibleDrill(req.prisma, req.user.userId, activity.drillId))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Find a template owned by the current user
+ */
+async function findTemplate(req) {
+  const template = await req.prisma.weekTemplate.findUnique({
+    where: { id: req.params.templateId },
+    include: { activities: true }
+  });
+
+  if (!template || template.userId !== req.user.userId) {
+    return null;
+  }
+  return template;
+}
+
+/**
+ * GET /api/templates
+ * List saved week templates
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const templates = await req.prisma.weekTemplate.findMany({
+      where: { userId: req.user.userId },
+      include: { activities: true },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json(templates.map(formatTemplate));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/templates
+ * Save a week template, either from a list of activities or from the
+ * planned activities of the week containing fromWeek
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { name, fromWeek } = req.body;
+    let { activities } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    if (fromWeek) {
+      if (!DATE_PATTERN.test(fromWeek)) {
+        return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+      }
+      activities = await snapshotWeek(req.prisma, req.user.userId, getWeekStart(fromWeek));
+    }
+
+    const error = validateTemplateActivities(activities);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!(await drillsAvailable(req, activities))) {
+      return res.status(400).json({ error: 'Drill not found' });
+    }
+
+    const existing = await req.prisma.weekTemplate.findUnique({
+      where: {
+        userId_name: {
+          userId: req.user.userId,
+          name: name.trim()
+        }
+      }
+    });
+
+    if (existing) {
+      return res.status(409).json({ error: 'A template with that name already exists' });
+    }
+
+    const template = await req.prisma.weekTemplate.create({
+      data: {
+        userId: req.user.userId,
+        name: name.trim(),
+        activities: {
+          create: toActivityData(activities)
+        }
+      },
+      include: { activities: true }
+    });
+
+    res.status(201).json(formatTemplate(template));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/templates/:templateId
+ * Rename a template or replace its activities
+ */
+router.put('/:templateId', async (req, res, next) => {
+  try {
+    const { name, activities } = req.body;
+
+    const template = await findTemplate(req);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    if (activities !== undefined) {
+      const error = validateTemplateActivities(activities);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (!(await drillsAvailable(req, activities))) {
+        return res.status(400).json({ error: 'Drill not found' });
+      }
+    }
+
+    const updated = await req.prisma.$transaction(async (tx) => {
+      if (activities !== undefined) {
+        await tx.weekTemplateActivity.deleteMany({
+          where: { templateId: template.id }
+        });
+      }
+
+      return tx.weekTemplate.update({
+        where: { id: template.id },
+        data: {
+          name: name ? name.trim() : template.name,
+          ...(activities !== undefined && {
+            activities: { create: toActivityData(activities) }
+          })
+        },
+        include: { activities: true }
+      });
+    });
+
+    res.json(formatTemplate(updated));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/templates/:templateId
+ * Remove a template
+ */
+router.delete('/:templateId', async (req, res, next) => {
+  try {
+    const template = await findTemplate(req);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    await req.prisma.weekTemplate.delete({
+      where: { id: template.id }
+    });
+
+    res.json({ message: 'Template removed' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/templates/:templateId/apply
+ * Apply a template to a run of weeks starting with the week of startDate
+ */
+router.post('/:templateId/apply', async (req, res, next) => {
+  try {
+    const { startDate, weeks = 1, onConflict = 'skip', gameDays = 'adapt', dryRun = false } = req.body;
+
+    if (!startDate || !DATE_PATTERN.test(startDate)) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
+    if (!Number.isInteger(weeks) || weeks < 1 || weeks > 52) {
+      return res.status(400).json({ error: 'weeks must be between 1 and 52' });
+    }
+    if (!['skip', 'replace', 'fail'].includes(onConflict)) {
+      return res.status(400).json({ error: 'onConflict must be skip, replace or fail' });
+    }
+    if (!['skip', 'adapt', 'include'].includes(gameDays)) {
+      return res.status(400).json({ error: 'gameDays must be skip, adapt or include' });
+    }
+
+    const template = await findTemplate(req);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const firstWeek = getWeekStart(startDate);
+    const weekStarts = Array.from({ length: weeks }, (_, i) => addDays(firstWeek, i * 7));
+    const activities = formatTemplate(template).activities;
+
+    const dates = weekStarts.flatMap(weekStart => Array.from({ length: 7 }, (_, i) => addDays(weekStart, i)));
+    const { historyBatchId, ...result } = await req.prisma.$transaction(async tx => {
+      const tracker = await trackChanges(tx, changeContext(req), dates);
+      const result = await applyWeekPlan(tx, req.user.userId, activities, weekStarts, { onConflict, gameDays, dryRun });
+      return { ...result, historyBatchId: await tracker.finish() };
+    }, { timeout: 30000 });
+
+    res.status(result.applied || dryRun ? 200 : 409).json({ ...result, historyBatchId });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,26 +1,122 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
-const { getOrCreateTrainingDay, formatTrainingDayResponse } = require('../services/training');
+const {
+  TRAINING_DAY_INCLUDE,
+  getOrCreateTrainingDay,
+  findTrainingDay,
+  formatTrainingDayResponse
+} = require('../services/training');
+const { getTrainingCalendar } = require('../services/trainingCalendar');
+const { getGoalHistory, resolveGoal, isValidGoal } = require('../services/goals');
+const { FIXED_TYPES, getSchedule, getBlocksForDate, isValidTime } = require('../services/schedule');
+const { snapshotWeek, applyWeekPlan } = require('../services/templates');
+const { toDateKey, isValidDateKey, getWeekStart, addDays, timeInTimeZone, getUserTimeZone } = require('../services/dates');
+const {
+  validateShootingSet,
+  getOrCreateShootingActivity,
+  preserveCounterMakes,
+  setCounterMakes,
+  syncShootingActivity
+} = require('../services/shooting');
+const { MAX_BATCH_SIZE, syncOperations } = require('../services/sync');
+const { findLinkablePlan } = require('../services/adherence');
+const { validateCompletionDetails, findVisibleDrill, resolvePlannedDrill } = require('../services/drills');
+const { validateSessionLoad } = require('../services/load');
+const { evaluateAchievements } = require('../services/achievements');
+const { validateJournal, formatWellness, saveJournal } = require('../services/journal');
+const { changeContext, trackChanges, getDayHistory, undoBatch } = require('../services/history');
 
 // All training routes require authentication
 router.use(authenticateToken);
 
+// Every /:date route needs a real calendar day, not just the right shape
+router.param('date', (req, res, next, date) => {
+  if (!isValidDateKey(date)) {
+    return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+  }
+  next();
+});
+
+/**
+ * POST /api/training/sync
+ * Apply changes queued while offline. Body: { operations: [{ id, type, date, data }] }.
+ * Safe to resend; each result says whether the operation was applied,
+ * merged with or lost to an edit from another device, or rejected.
+ */
+router.post('/sync', async (req, res, next) => {
+  try {
+    const { operations } = req.body;
+
+    if (!Array.isArray(operations)) {
+      return res.status(400).json({ error: 'operations must be a list' });
+    }
+    if (operations.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({ error: `At most ${MAX_BATCH_SIZE} operations per batch` });
+    }
+
+    const { results, days } = await syncOperations(req.prisma, req.user.userId, operations, changeContext(req));
+
+    const goalHistory = await getGoalHistory(req.prisma, req.user.userId);
+    const unlocked = days.length > 0
+      ? await evaluateAchievements(req.prisma, req.user.userId, days.map(day => toDateKey(day.date)))
+      : { achievements: [], records: [] };
+    res.json({
+      results,
+      days: days.map(day => formatTrainingDayResponse(day, goalHistory)),
+      unlocked
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/training/calendar?month=YYYY-MM (or ?week=YYYY-MM-DD)
+ * Every day of a month, or of the Sunday-Saturday week containing a date,
+ * with planned and actual activities, fixed blocks and completion
+ */
+router.get('/calendar', async (req, res, next) => {
+  try {
+    const { month, week } = req.query;
+    let start;
+    let end;
+
+    if (month !== undefined) {
+      if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+        return res.status(400).json({ error: 'Invalid month format. Use YYYY-MM' });
+      }
+      const [year, monthNumber] = month.split('-').map(Number);
+      start = `${month}-01`;
+      // Day 0 of the next month is the last of this one
+      end = toDateKey(new Date(Date.UTC(year, monthNumber, 0)));
+    } else if (week !== undefined) {
+      if (!isValidDateKey(week)) {
+        return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+      }
+      start = getWeekStart(week);
+      end = addDays(start, 6);
+    } else {
+      return res.status(400).json({ error: 'month or week query param required' });
+    }
+
+    res.json(await getTrainingCalendar(req.prisma, req.user.userId, start, end));
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * GET /api/training/:date
- * Get training day data (creates if not exists)
+ * Get training day data (an empty day if nothing is logged; never writes)
  */
 router.get('/:date', async (req, res, next) => {
   try {
     const { date } = req.params;
 
-    // Validate date format
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
-    }
-
-    const trainingDay = await getOrCreateTrainingDay(req.prisma, req.user.userId, date);
-    res.json(formatTrainingDayResponse(trainingDay));
+    const trainingDay = await findTrainingDay(req.prisma, req.user.userId, date);
+    const goalHistory = await getGoalHistory(req.prisma, req.user.userId);
+    res.json(formatTrainingDayResponse(trainingDay, goalHistory));
   } catch (err) {
     next(err);
   }
@@ -37,6 +133,12 @@ router.get('/', async (req, res, next) => {
     if (!start || !end) {
       return res.status(400).json({ error: 'start and end query params required' });
     }
+    if (!isValidDateKey(start) || !isValidDateKey(end)) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
+    if (start > end) {
+      return res.status(400).json({ error: 'start must be on or before end' });
+    }
 
     const startDate = new Date(start + 'T00:00:00.000Z');
     const endDate = new Date(end + 'T23:59:59.999Z');
@@ -49,14 +151,12 @@ router.get('/', async (req, res, next) => {
           lte: endDate
         }
       },
-      include: {
-        plannedActivities: true,
-        actualActivities: true
-      },
+      include: TRAINING_DAY_INCLUDE,
       orderBy: { date: 'asc' }
     });
 
-    res.json(trainingDays.map(formatTrainingDayResponse));
+    const goalHistory = await getGoalHistory(req.prisma, req.user.userId);
+    res.json(trainingDays.map(day => formatTrainingDayResponse(day, goalHistory)));
   } catch (err) {
     next(err);
   }
@@ -64,25 +164,136 @@ router.get('/', async (req, res, next) => {
 
 /**
  * PUT /api/training/:date
- * Update training day (game day toggle, etc.)
+ * Update training day (game day toggle, shooting goal override, etc.)
  */
 router.put('/:date', async (req, res, next) => {
   try {
     const { date } = req.params;
-    const { isGameDay } = req.body;
+    const { isGameDay, shootingGoal } = req.body;
+
+    // null clears the override, undefined leaves it alone
+    if (shootingGoal != null && !isValidGoal(shootingGoal)) {
+      return res.status(400).json({ error: 'shootingGoal must be a positive whole number' });
+    }
 
     const trainingDay = await getOrCreateTrainingDay(req.prisma, req.user.userId, date);
 
     const updated = await req.prisma.trainingDay.update({
       where: { id: trainingDay.id },
-      data: { isGameDay: isGameDay ?? trainingDay.isGameDay },
-      include: {
-        plannedActivities: true,
-        actualActivities: true
-      }
+      data: {
+        isGameDay: isGameDay ?? trainingDay.isGameDay,
+        shootingGoal: shootingGoal === undefined ? trainingDay.shootingGoal : shootingGoal
+      },
+      include: TRAINING_DAY_INCLUDE
+    });
+
+    const goalHistory = await getGoalHistory(req.prisma, req.user.userId);
+    res.json(formatTrainingDayResponse(updated, goalHistory));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/training/:date/journal
+ * Notes and wellness check-in for a day (empty if none yet)
+ */
+router.get('/:date/journal', async (req, res, next) => {
+  try {
+    const { date } = req.params;
+
+    const trainingDay = await req.prisma.trainingDay.findUnique({
+      where: {
+        userId_date: {
+          userId: req.user.userId,
+          date: new Date(date + 'T00:00:00.000Z')
+        }
+      },
+      include: { wellness: true }
+    });
+
+    res.json({
+      date,
+      notes: trainingDay?.notes ?? null,
+      wellness: formatWellness(trainingDay?.wellness)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/training/:date/journal
+ * Write a day's notes and/or wellness check-in. Body: { notes, wellness:
+ * { sleepHours, soreness, energy, mood } }; omitted fields are kept,
+ * null clears.
+ */
+router.put('/:date/journal', async (req, res, next) => {
+  try {
+    const { date } = req.params;
+    const { notes, wellness } = req.body;
+
+    const error = validateJournal({ notes, wellness });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const trainingDay = await getOrCreateTrainingDay(req.prisma, req.user.userId, date);
+    await saveJournal(req.prisma, trainingDay, { notes, wellness });
+
+    const updated = await req.prisma.trainingDay.findUnique({
+      where: { id: trainingDay.id },
+      include: TRAINING_DAY_INCLUDE
     });
 
-    res.json(formatTrainingDayResponse(updated));
+    const goalHistory = await getGoalHistory(req.prisma, req.user.userId);
+    res.json(formatTrainingDayResponse(updated, goalHistory));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/training/:date/history
+ * Changes to the day's planned and actual activities, newest first,
+ * grouped by the request that made them
+ */
+router.get('/:date/history', async (req, res, next) => {
+  try {
+    const { date } = req.params;
+
+    const history = await getDayHistory(req.prisma, req.user.userId, date, req.user.sessionId);
+    res.json({ date, history });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/training/:date/history/:batchId/undo
+ * Undo a change (the historyBatchId returned by a write) that touched
+ * this day; 404 otherwise. Fails with 409 if it was already undone or
+ * something it touched has changed since.
+ */
+router.post('/:date/history/:batchId/undo', async (req, res, next) => {
+  try {
+    const { date, batchId } = req.params;
+
+    const result = await req.prisma.$transaction(
+      tx => undoBatch(tx, changeContext(req), batchId, date),
+      { timeout: 30000 }
+    );
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const updated = await findTrainingDay(req.prisma, req.user.userId, date);
+    const goalHistory = await getGoalHistory(req.prisma, req.user.userId);
+    res.json({
+      ...formatTrainingDayResponse(updated, goalHistory),
+      dates: result.dates,
+      historyBatchId: result.batchId
+    });
   } catch (err) {
     next(err);
   }
@@ -90,21 +301,32 @@ router.put('/:date', async (req, res, next) => {
 
 /**
  * POST /api/training/:date/planned
- * Add a planned activity
+ * Add a planned activity. Custom activities can be planned from the
+ * drill library with drillId; the name defaults to the drill's.
  */
 router.post('/:date/planned', async (req, res, next) => {
   try {
     const { date } = req.params;
-    const { type, time, location, name } = req.body;
+    const { type, time, location, name, drillId } = req.body;
 
     if (!type || !time) {
       return res.status(400).json({ error: 'type and time are required' });
     }
 
+    if (!isValidTime(time)) {
+      return res.status(400).json({ error: 'time must be HH:MM' });
+    }
+
     if (!['shooting', 'pickup', 'custom'].includes(type)) {
       return res.status(400).json({ error: 'Invalid activity type' });
     }
 
+    const drill = await resolvePlannedDrill(req.prisma, req.user.userId, { type, name, drillId });
+    if (drill.error) {
+      return res.status(400).json({ error: drill.error });
+    }
+
+    const tracker = await trackChanges(req.prisma, changeContext(req), [date]);
     const trainingDay = await getOrCreateTrainingDay(req.prisma, req.user.userId, date);
 
     // For shooting, remove existing planned shooting first
@@ -123,20 +345,62 @@ router.post('/:date/planned', async (req, res, next) => {
         type,
         plannedTime: time,
         location: type === 'pickup' ? location : null,
-        name: type === 'custom' ? name : null
+        name: drill.name,
+        drillId: drill.drillId
       }
     });
 
     // Fetch updated training day
     const updated = await req.prisma.trainingDay.findUnique({
       where: { id: trainingDay.id },
-      include: {
-        plannedActivities: true,
-        actualActivities: true
-      }
+      include: TRAINING_DAY_INCLUDE
     });
 
-    res.status(201).json(formatTrainingDayResponse(updated));
+    const historyBatchId = await tracker.finish();
+    const goalHistory = await getGoalHistory(req.prisma, req.user.userId);
+    res.status(201).json({ ...formatTrainingDayResponse(updated, goalHistory), historyBatchId });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/training/:date/copy-week
+ * Copy the planned activities of the week containing :date to the week
+ * containing `to` (defaults to the following week)
+ */
+router.post('/:date/copy-week', async (req, res, next) => {
+  try {
+    const { date } = req.params;
+    const { to, onConflict = 'skip', gameDays = 'adapt', dryRun = false } = req.body;
+
+    if (to && !isValidDateKey(to)) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
+    if (!['skip', 'replace', 'fail'].includes(onConflict)) {
+      return res.status(400).json({ error: 'onConflict must be skip, replace or fail' });
+    }
+    if (!['skip', 'adapt', 'include'].includes(gameDays)) {
+      return res.status(400).json({ error: 'gameDays must be skip, adapt or include' });
+    }
+
+    const fromWeek = getWeekStart(date);
+    const toWeek = to ? getWeekStart(to) : addDays(fromWeek, 7);
+
+    if (fromWeek === toWeek) {
+      return res.status(400).json({ error: 'Cannot copy a week onto itself' });
+    }
+
+    const activities = await snapshotWeek(req.prisma, req.user.userId, fromWeek);
+
+    const weekDates = Array.from({ length: 7 }, (_, i) => addDays(toWeek, i));
+    const { historyBatchId, ...result } = await req.prisma.$transaction(async tx => {
+      const tracker = await trackChanges(tx, changeContext(req), weekDates);
+      const result = await applyWeekPlan(tx, req.user.userId, activities, [toWeek], { onConflict, gameDays, dryRun });
+      return { ...result, historyBatchId: await tracker.finish() };
+    }, { timeout: 30000 });
+
+    res.status(result.applied || dryRun ? 200 : 409).json({ ...result, fromWeek, toWeek, historyBatchId });
   } catch (err) {
     next(err);
   }
@@ -162,6 +426,7 @@ router.delete('/:date/planned/:activityId', async (req, res, next) => {
       return res.status(404).json({ error: 'Activity not found' });
     }
 
+    const tracker = await trackChanges(req.prisma, changeContext(req), [toDateKey(activity.trainingDay.date)]);
     await req.prisma.plannedActivity.delete({
       where: { id: activityId }
     });
@@ -169,13 +434,12 @@ router.delete('/:date/planned/:activityId', async (req, res, next) => {
     // Fetch updated training day
     const updated = await req.prisma.trainingDay.findUnique({
       where: { id: activity.trainingDayId },
-      include: {
-        plannedActivities: true,
-        actualActivities: true
-      }
+      include: TRAINING_DAY_INCLUDE
     });
 
-    res.json(formatTrainingDayResponse(updated));
+    const historyBatchId = await tracker.finish();
+    const goalHistory = await getGoalHistory(req.prisma, req.user.userId);
+    res.json({ ...formatTrainingDayResponse(updated, goalHistory), historyBatchId });
   } catch (err) {
     next(err);
   }
@@ -183,12 +447,19 @@ router.delete('/:date/planned/:activityId', async (req, res, next) => {
 
 /**
  * POST /api/training/:date/actual
- * Log an actual activity completion
+ * Log an actual activity completion. Pickup and custom completions pass
+ * plannedActivityId for the planned activity they fulfil; without it
+ * they count as unplanned extras. Any completion can carry durationMinutes
+ * and rpe for training load; custom completions also take sets, reps and
+ * a drillId (defaults to the plan's).
  */
 router.post('/:date/actual', async (req, res, next) => {
   try {
     const { date } = req.params;
-    const { type, completedAt, shootingMakes } = req.body;
+    const {
+      type, completedAt, shootingMakes, plannedActivityId,
+      durationMinutes, rpe, drillId, sets, reps
+    } = req.body;
 
     if (!type) {
       return res.status(400).json({ error: 'type is required' });
@@ -199,10 +470,63 @@ router.post('/:date/actual', async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid activity type' });
     }
 
+    if (completedAt != null && !isValidTime(completedAt)) {
+      return res.status(400).json({ error: 'completedAt must be HH:MM' });
+    }
+
+    if (shootingMakes != null && (!Number.isInteger(shootingMakes) || shootingMakes < 0)) {
+      return res.status(400).json({ error: 'shootingMakes must be a whole number' });
+    }
+
+    const loadError = validateSessionLoad({ durationMinutes, rpe });
+    if (loadError) {
+      return res.status(400).json({ error: loadError });
+    }
+
+    // Check against the day as it stands before creating it or recording history
+    const currentDay = await findTrainingDay(req.prisma, req.user.userId, date);
+    let planned = null;
+    let details = {};
+
+    if (FIXED_TYPES.includes(type)) {
+      // Only sessions on the recurring schedule can be logged
+      if (!currentDay.actualActivities.some(activity => activity.type === type)) {
+        const schedule = await getSchedule(req.prisma, req.user.userId);
+        const blocks = getBlocksForDate(schedule, date, currentDay.isGameDay);
+        if (!blocks.some(block => block.type === type)) {
+          return res.status(400).json({ error: `No ${type} session scheduled on ${date}` });
+        }
+      }
+    } else if (type !== 'shooting') {
+      if (plannedActivityId) {
+        planned = typeof plannedActivityId === 'string' &&
+          await findLinkablePlan(req.prisma, currentDay.id, type, plannedActivityId);
+        if (!planned) {
+          return res.status(400).json({ error: `plannedActivityId must be an uncompleted ${type} activity planned on ${date}` });
+        }
+      }
+
+      if (type === 'custom') {
+        const error = validateCompletionDetails({ sets, reps });
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        if (drillId != null && !(await findVisibleDrill(req.prisma, req.user.userId, drillId))) {
+          return res.status(400).json({ error: 'Drill not found' });
+        }
+        details = {
+          drillId: drillId ?? planned?.drillId ?? null,
+          sets: sets ?? null,
+          reps: reps ?? null
+        };
+      }
+    }
+
+    const tracker = await trackChanges(req.prisma, changeContext(req), [date]);
     const trainingDay = await getOrCreateTrainingDay(req.prisma, req.user.userId, date);
 
     // For fixed activities (coach, varsity), toggle or create
-    if (['coach_skills', 'coach_weights', 'varsity'].includes(type)) {
+    if (FIXED_TYPES.includes(type)) {
       const existing = await req.prisma.actualActivity.findFirst({
         where: {
           trainingDayId: trainingDay.id,
@@ -221,44 +545,39 @@ router.post('/:date/actual', async (req, res, next) => {
           data: {
             trainingDayId: trainingDay.id,
             type,
-            completedAt: completedAt || new Date().toTimeString().slice(0, 5)
+            completedAt: completedAt || timeInTimeZone(await getUserTimeZone(req.prisma, req.user.userId)),
+            durationMinutes: durationMinutes ?? null,
+            rpe: rpe ?? null
           }
         });
       }
     } else if (type === 'shooting') {
       // Upsert shooting activity
-      const existing = await req.prisma.actualActivity.findFirst({
-        where: {
-          trainingDayId: trainingDay.id,
-          type: 'shooting'
+      const existing = await getOrCreateShootingActivity(req.prisma, trainingDay.id);
+      const total = shootingMakes != null
+        ? await setCounterMakes(req.prisma, existing, shootingMakes)
+        : existing.shootingMakes;
+
+      await req.prisma.actualActivity.update({
+        where: { id: existing.id },
+        data: {
+          shootingMakes: total,
+          completedAt: completedAt ?? existing.completedAt,
+          durationMinutes: durationMinutes ?? existing.durationMinutes,
+          rpe: rpe ?? existing.rpe
         }
       });
-
-      if (existing) {
-        await req.prisma.actualActivity.update({
-          where: { id: existing.id },
-          data: {
-            shootingMakes: shootingMakes ?? existing.shootingMakes,
-            completedAt: completedAt ?? existing.completedAt
-          }
-        });
-      } else {
-        await req.prisma.actualActivity.create({
-          data: {
-            trainingDayId: trainingDay.id,
-            type: 'shooting',
-            shootingMakes: shootingMakes || 0,
-            completedAt
-          }
-        });
-      }
     } else {
-      // Pickup or custom - just create
+      // Pickup or custom - create, linked to its plan if given
       await req.prisma.actualActivity.create({
         data: {
           trainingDayId: trainingDay.id,
+          plannedActivityId: planned ? planned.id : null,
           type,
-          completedAt
+          completedAt,
+          durationMinutes: durationMinutes ?? null,
+          rpe: rpe ?? null,
+          ...details
         }
       });
     }
@@ -266,13 +585,13 @@ router.post('/:date/actual', async (req, res, next) => {
     // Fetch updated training day
     const updated = await req.prisma.trainingDay.findUnique({
       where: { id: trainingDay.id },
-      include: {
-        plannedActivities: true,
-        actualActivities: true
-      }
+      include: TRAINING_DAY_INCLUDE
     });
 
-    res.json(formatTrainingDayResponse(updated));
+    const historyBatchId = await tracker.finish();
+    const goalHistory = await getGoalHistory(req.prisma, req.user.userId);
+    const unlocked = await evaluateAchievements(req.prisma, req.user.userId, [date]);
+    res.json({ ...formatTrainingDayResponse(updated, goalHistory), unlocked, historyBatchId });
   } catch (err) {
     next(err);
   }
@@ -280,7 +599,8 @@ router.post('/:date/actual', async (req, res, next) => {
 
 /**
  * PUT /api/training/:date/actual/:activityId
- * Update an actual activity (e.g., shooting makes)
+ * Update an actual activity: shooting makes, duration and RPE of any
+ * session, or the sets and reps of a custom session
  */
 router.put('/:date/actual/:activityId', async (req, res, next) => {
   try {
@@ -291,7 +611,8 @@ router.put('/:date/actual/:activityId', async (req, res, next) => {
     const activity = await req.prisma.actualActivity.findUnique({
       where: { id: activityId },
       include: {
-        trainingDay: true
+        trainingDay: true,
+        shootingSets: true
       }
     });
 
@@ -299,24 +620,54 @@ router.put('/:date/actual/:activityId', async (req, res, next) => {
       return res.status(404).json({ error: 'Activity not found' });
     }
 
-    const updated = await req.prisma.actualActivity.update({
+    if (completedAt != null && !isValidTime(completedAt)) {
+      return res.status(400).json({ error: 'completedAt must be HH:MM' });
+    }
+
+    if (shootingMakes != null && (!Number.isInteger(shootingMakes) || shootingMakes < 0)) {
+      return res.status(400).json({ error: 'shootingMakes must be a whole number' });
+    }
+
+    // null clears a detail, undefined leaves it alone
+    const fields = activity.type === 'custom'
+      ? ['durationMinutes', 'rpe', 'sets', 'reps']
+      : ['durationMinutes', 'rpe'];
+    const details = {};
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) details[field] = req.body[field];
+    });
+
+    const error = validateSessionLoad(details) || validateCompletionDetails(details);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const tracker = await trackChanges(req.prisma, changeContext(req), [toDateKey(activity.trainingDay.date)]);
+
+    // Shooting totals follow the zone sets; the counter covers the rest
+    const total = shootingMakes != null && activity.type === 'shooting'
+      ? await setCounterMakes(req.prisma, activity, shootingMakes)
+      : shootingMakes;
+
+    await req.prisma.actualActivity.update({
       where: { id: activityId },
       data: {
         completedAt: completedAt ?? activity.completedAt,
-        shootingMakes: shootingMakes ?? activity.shootingMakes
+        shootingMakes: total ?? activity.shootingMakes,
+        ...details
       }
     });
 
     // Fetch updated training day
     const trainingDay = await req.prisma.trainingDay.findUnique({
       where: { id: activity.trainingDayId },
-      include: {
-        plannedActivities: true,
-        actualActivities: true
-      }
+      include: TRAINING_DAY_INCLUDE
     });
 
-    res.json(formatTrainingDayResponse(trainingDay));
+    const historyBatchId = await tracker.finish();
+    const goalHistory = await getGoalHistory(req.prisma, req.user.userId);
+    const unlocked = await evaluateAchievements(req.prisma, req.user.userId, [toDateKey(trainingDay.date)]);
+    res.json({ ...formatTrainingDayResponse(trainingDay, goalHistory), unlocked, historyBatchId });
   } catch (err) {
     next(err);
   }
@@ -331,55 +682,188 @@ router.put('/:date/shooting', async (req, res, next) => {
     const { date } = req.params;
     const { makes, completedAt } = req.body;
 
-    if (typeof makes !== 'number') {
-      return res.status(400).json({ error: 'makes must be a number' });
+    if (!Number.isInteger(makes) || makes < 0) {
+      return res.status(400).json({ error: 'makes must be a whole number' });
+    }
+
+    if (completedAt != null && !isValidTime(completedAt)) {
+      return res.status(400).json({ error: 'completedAt must be HH:MM' });
     }
 
+    const tracker = await trackChanges(req.prisma, changeContext(req), [date]);
     const trainingDay = await getOrCreateTrainingDay(req.prisma, req.user.userId, date);
 
     // Find or create shooting activity
-    let shootingActivity = await req.prisma.actualActivity.findFirst({
-      where: {
-        trainingDayId: trainingDay.id,
-        type: 'shooting'
-      }
-    });
+    const shootingActivity = await getOrCreateShootingActivity(req.prisma, trainingDay.id);
+    const total = await setCounterMakes(req.prisma, shootingActivity, makes);
+
+    // Auto-set completion time when reaching the day's goal
+    const goalHistory = await getGoalHistory(req.prisma, req.user.userId);
+    const goal = resolveGoal(goalHistory, trainingDay);
 
-    // Auto-set completion time when reaching 200
     let newCompletedAt = completedAt;
-    if (makes >= 200 && !shootingActivity?.completedAt && !completedAt) {
-      newCompletedAt = new Date().toTimeString().slice(0, 5);
+    if (total >= goal && !shootingActivity.completedAt && !completedAt) {
+      newCompletedAt = timeInTimeZone(await getUserTimeZone(req.prisma, req.user.userId));
     }
 
-    if (shootingActivity) {
-      await req.prisma.actualActivity.update({
-        where: { id: shootingActivity.id },
-        data: {
-          shootingMakes: makes,
-          completedAt: newCompletedAt ?? shootingActivity.completedAt
-        }
-      });
-    } else {
-      await req.prisma.actualActivity.create({
-        data: {
-          trainingDayId: trainingDay.id,
-          type: 'shooting',
-          shootingMakes: makes,
-          completedAt: newCompletedAt
-        }
-      });
-    }
+    await req.prisma.actualActivity.update({
+      where: { id: shootingActivity.id },
+      data: {
+        shootingMakes: total,
+        completedAt: newCompletedAt ?? shootingActivity.completedAt
+      }
+    });
 
     // Fetch updated training day
     const updated = await req.prisma.trainingDay.findUnique({
       where: { id: trainingDay.id },
-      include: {
-        plannedActivities: true,
-        actualActivities: true
+      include: TRAINING_DAY_INCLUDE
+    });
+
+    const historyBatchId = await tracker.finish();
+    const unlocked = await evaluateAchievements(req.prisma, req.user.userId, [date]);
+    res.json({ ...formatTrainingDayResponse(updated, goalHistory), unlocked, historyBatchId });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Find a shooting set owned by the current user
+ */
+async function findShootingSet(prisma, userId, setId) {
+  const set = await prisma.shootingSet.findUnique({
+    where: { id: setId },
+    include: {
+      actualActivity: {
+        include: { trainingDay: true }
+      }
+    }
+  });
+
+  if (!set || set.actualActivity.trainingDay.userId !== userId) {
+    return null;
+  }
+  return set;
+}
+
+/**
+ * POST /api/training/:date/shooting/sets
+ * Log a set of shots from one zone
+ */
+router.post('/:date/shooting/sets', async (req, res, next) => {
+  try {
+    const { date } = req.params;
+    const { zone, makes, attempts } = req.body;
+
+    const error = validateShootingSet({ zone, makes, attempts });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const tracker = await trackChanges(req.prisma, changeContext(req), [date]);
+    const trainingDay = await getOrCreateTrainingDay(req.prisma, req.user.userId, date);
+    const activity = await getOrCreateShootingActivity(req.prisma, trainingDay.id);
+    await preserveCounterMakes(req.prisma, activity);
+
+    await req.prisma.shootingSet.create({
+      data: {
+        actualActivityId: activity.id,
+        zone,
+        makes,
+        attempts
       }
     });
 
-    res.json(formatTrainingDayResponse(updated));
+    await syncShootingActivity(req.prisma, req.user.userId, trainingDay, activity);
+
+    const updated = await req.prisma.trainingDay.findUnique({
+      where: { id: trainingDay.id },
+      include: TRAINING_DAY_INCLUDE
+    });
+
+    const historyBatchId = await tracker.finish();
+    const goalHistory = await getGoalHistory(req.prisma, req.user.userId);
+    const unlocked = await evaluateAchievements(req.prisma, req.user.userId, [date]);
+    res.status(201).json({ ...formatTrainingDayResponse(updated, goalHistory), unlocked, historyBatchId });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/training/:date/shooting/sets/:setId
+ * Correct a logged set
+ */
+router.put('/:date/shooting/sets/:setId', async (req, res, next) => {
+  try {
+    const set = await findShootingSet(req.prisma, req.user.userId, req.params.setId);
+    if (!set) {
+      return res.status(404).json({ error: 'Shooting set not found' });
+    }
+
+    const fields = {
+      zone: req.body.zone ?? set.zone,
+      makes: req.body.makes ?? set.makes,
+      attempts: req.body.attempts ?? set.attempts
+    };
+
+    const error = validateShootingSet(fields);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const tracker = await trackChanges(req.prisma, changeContext(req), [toDateKey(set.actualActivity.trainingDay.date)]);
+    await req.prisma.shootingSet.update({
+      where: { id: set.id },
+      data: fields
+    });
+
+    const { actualActivity: activity } = set;
+    await syncShootingActivity(req.prisma, req.user.userId, activity.trainingDay, activity);
+
+    const updated = await req.prisma.trainingDay.findUnique({
+      where: { id: activity.trainingDayId },
+      include: TRAINING_DAY_INCLUDE
+    });
+
+    const historyBatchId = await tracker.finish();
+    const goalHistory = await getGoalHistory(req.prisma, req.user.userId);
+    const unlocked = await evaluateAchievements(req.prisma, req.user.userId, [toDateKey(updated.date)]);
+    res.json({ ...formatTrainingDayResponse(updated, goalHistory), unlocked, historyBatchId });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/training/:date/shooting/sets/:setId
+ * Remove a logged set
+ */
+router.delete('/:date/shooting/sets/:setId', async (req, res, next) => {
+  try {
+    const set = await findShootingSet(req.prisma, req.user.userId, req.params.setId);
+    if (!set) {
+      return res.status(404).json({ error: 'Shooting set not found' });
+    }
+
+    const tracker = await trackChanges(req.prisma, changeContext(req), [toDateKey(set.actualActivity.trainingDay.date)]);
+    await req.prisma.shootingSet.delete({
+      where: { id: set.id }
+    });
+
+    const { actualActivity: activity } = set;
+    await syncShootingActivity(req.prisma, req.user.userId, activity.trainingDay, activity);
+
+    const updated = await req.prisma.trainingDay.findUnique({
+      where: { id: activity.trainingDayId },
+      include: TRAINING_DAY_INCLUDE
+    });
+
+    const historyBatchId = await tracker.finish();
+    const goalHistory = await getGoalHistory(req.prisma, req.user.userId);
+    const unlocked = await evaluateAchievements(req.prisma, req.user.userId, [toDateKey(updated.date)]);
+    res.json({ ...formatTrainingDayResponse(updated, goalHistory), unlocked, historyBatchId });
   } catch (err) {
     next(err);
   }
@@ -0,0 +1,49 @@
+/**
+ * One-off upgrade: link pickup and custom completions logged before
+ * completions referenced their planned activity. Pass the date (or
+ * timestamp) the linking release was deployed; only completions created
+ * before it are touched, so later unplanned extras stay unplanned.
+ *
+ *   npm run db:link-planned -- 2026-05-01
+ */
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const { LINKED_TYPES, linkUnmatchedActivities } = require('../services/adherence');
+
+async function main() {
+  const cutoff = new Date(process.argv[2]);
+  if (!process.argv[2] || isNaN(cutoff)) {
+    console.error('Usage: npm run db:link-planned -- <date the linking release was deployed>');
+    process.exit(1);
+  }
+
+  const prisma = new PrismaClient();
+
+  try {
+    const trainingDays = await prisma.trainingDay.findMany({
+      where: {
+        actualActivities: {
+          some: { type: { in: LINKED_TYPES }, plannedActivityId: null, createdAt: { lt: cutoff } }
+        },
+        plannedActivities: {
+          some: { type: { in: LINKED_TYPES }, completion: null }
+        }
+      },
+      select: { id: true }
+    });
+
+    let linked = 0;
+    for (const day of trainingDays) {
+      linked += await linkUnmatchedActivities(prisma, day.id, { createdBefore: cutoff });
+    }
+
+    console.log(`Linked ${linked} completions created before ${cutoff.toISOString()} across ${trainingDays.length} training days`);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch(err => {
+  console.error('Linking planned activities failed:', err);
+  process.exit(1);
+});
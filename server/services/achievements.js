@@ -0,0 +1,240 @@
+const { getStreaks } = require('./streaks');
+const { getSchedule, getBlocksForDate } = require('./schedule');
+const { toDateKey, addDays, getWeekStart, getUserTimeZone } = require('./dates');
+
+const COACH_TYPES = ['coach_skills', 'coach_weights'];
+
+// Badges are earned once, when `value(context)` first reaches `target`
+const ACHIEVEMENTS = [
+  { key: 'first_makes', title: 'First Makes', description: 'Log your first made shots', value: ctx => ctx.lifetimeMakes, target: 1 },
+  { key: 'day_300', title: '300 Club', description: 'Make 300 shots in one day', value: ctx => ctx.records.day?.makes || 0, target: 300 },
+  { key: 'day_500', title: '500 Club', description: 'Make 500 shots in one day', value: ctx => ctx.records.day?.makes || 0, target: 500 },
+  { key: 'streak_7', title: 'Full Week', description: 'Hit your shooting goal 7 days in a row', value: ctx => ctx.longestStreak, target: 7 },
+  { key: 'streak_10', title: 'On Fire', description: 'Hit your shooting goal 10 days in a row', value: ctx => ctx.longestStreak, target: 10 },
+  { key: 'streak_30', title: 'Unstoppable', description: 'Hit your shooting goal 30 days in a row', value: ctx => ctx.longestStreak, target: 30 },
+  { key: 'lifetime_1000', title: '1,000 Makes', description: 'Make 1,000 shots in total', value: ctx => ctx.lifetimeMakes, target: 1000 },
+  { key: 'lifetime_10000', title: '10,000 Makes', description: 'Make 10,000 shots in total', value: ctx => ctx.lifetimeMakes, target: 10000 },
+  { key: 'lifetime_50000', title: '50,000 Makes', description: 'Make 50,000 shots in total', value: ctx => ctx.lifetimeMakes, target: 50000 },
+  // Only known for the weeks just written to, so it has no progress
+  { key: 'perfect_coach_week', title: 'Perfect Coach Week', description: 'Complete every scheduled coach session in a week', value: ctx => ctx.perfectCoachWeek ? 1 : null, target: 1 }
+];
+
+const RECORD_LABELS = {
+  day: 'Most makes in a day',
+  week: 'Most makes in a week',
+  month: 'Most makes in a month'
+};
+
+/**
+ * Lifetime makes, best day/week/month and longest streak. Reads every
+ * shooting day in one query.
+ */
+async function getShootingContext(prisma, userId, timeZone) {
+  const [activities, streaks] = await Promise.all([
+    prisma.actualActivity.findMany({
+      where: {
+        type: 'shooting',
+        shootingMakes: { gt: 0 },
+        trainingDay: { userId }
+      },
+      select: {
+        shootingMakes: true,
+        trainingDay: { select: { date: true } }
+      }
+    }),
+    getStreaks(prisma, userId, timeZone)
+  ]);
+
+  const totals = { day: new Map(), week: new Map(), month: new Map() };
+  let lifetimeMakes = 0;
+
+  activities.forEach(activity => {
+    const date = toDateKey(activity.trainingDay.date);
+    const starts = { day: date, week: getWeekStart(date), month: date.slice(0, 8) + '01' };
+
+    lifetimeMakes += activity.shootingMakes;
+    Object.entries(starts).forEach(([period, start]) => {
+      totals[period].set(start, (totals[period].get(start) || 0) + activity.shootingMakes);
+    });
+  });
+
+  // Ties go to the earliest period: the record was set first there
+  const records = {};
+  Object.entries(totals).forEach(([period, map]) => {
+    [...map.entries()].sort(([a], [b]) => a.localeCompare(b)).forEach(([periodStart, makes]) => {
+      if (!records[period] || makes > records[period].makes) {
+        records[period] = { makes, periodStart };
+      }
+    });
+  });
+
+  return { lifetimeMakes, records, longestStreak: streaks.longest };
+}
+
+/**
+ * Whether every coach session scheduled in the week containing `date`
+ * has been logged (and at least one was scheduled)
+ */
+async function isPerfectCoachWeek(prisma, userId, schedule, date) {
+  const weekStart = getWeekStart(date);
+
+  const trainingDays = await prisma.trainingDay.findMany({
+    where: {
+      userId,
+      date: {
+        gte: new Date(weekStart + 'T00:00:00.000Z'),
+        lte: new Date(addDays(weekStart, 6) + 'T00:00:00.000Z')
+      }
+    },
+    include: { actualActivities: { where: { type: { in: COACH_TYPES } } } }
+  });
+  const byDate = new Map(trainingDays.map(day => [toDateKey(day.date), day]));
+
+  let scheduled = 0;
+  for (let i = 0; i < 7; i++) {
+    const key = addDays(weekStart, i);
+    const day = byDate.get(key);
+    const types = new Set(getBlocksForDate(schedule, key, day?.isGameDay || false)
+      .map(block => block.type)
+      .filter(type => COACH_TYPES.includes(type)));
+
+    for (const type of types) {
+      scheduled++;
+      if (!day?.actualActivities.some(activity => activity.type === type)) return false;
+    }
+  }
+
+  return scheduled > 0;
+}
+
+function formatAchievement(rule, earned = null, value = null) {
+  return {
+    key: rule.key,
+    title: rule.title,
+    description: rule.description,
+    earned: Boolean(earned),
+    earnedAt: earned?.earnedAt || null,
+    date: earned ? toDateKey(earned.date) : null,
+    progress: !earned && value !== null ? { value: Math.min(value, rule.target), target: rule.target } : null
+  };
+}
+
+function formatRecord(record) {
+  return {
+    period: record.period,
+    label: RECORD_LABELS[record.period],
+    makes: record.makes,
+    periodStart: toDateKey(record.periodStart),
+    previousMakes: record.previousMakes,
+    achievedAt: record.achievedAt
+  };
+}
+
+/**
+ * Check the rules after training days were written. Stores newly earned
+ * badges and keeps personal records in step with the data (a corrected
+ * day can lower one). Returns what is new to celebrate: badges earned and
+ * records beaten by this write.
+ */
+async function evaluateAchievements(prisma, userId, dates) {
+  const timeZone = await getUserTimeZone(prisma, userId);
+
+  const [context, earned, storedRecords, schedule] = await Promise.all([
+    getShootingContext(prisma, userId, timeZone),
+    prisma.achievement.findMany({ where: { userId }, select: { key: true } }),
+    prisma.personalRecord.findMany({ where: { userId } }),
+    getSchedule(prisma, userId)
+  ]);
+
+  const sorted = [...dates].sort();
+  const weeks = [...new Set(sorted.map(date => getWeekStart(date)))];
+  context.perfectCoachWeek = false;
+  for (const week of weeks) {
+    if (await isPerfectCoachWeek(prisma, userId, schedule, week)) {
+      context.perfectCoachWeek = true;
+      break;
+    }
+  }
+
+  const earnedKeys = new Set(earned.map(achievement => achievement.key));
+  const date = new Date(sorted[sorted.length - 1] + 'T00:00:00.000Z');
+  const newRules = ACHIEVEMENTS.filter(rule => !earnedKeys.has(rule.key) && rule.value(context) >= rule.target);
+
+  if (newRules.length > 0) {
+    await prisma.achievement.createMany({
+      data: newRules.map(rule => ({ userId, key: rule.key, date })),
+      skipDuplicates: true
+    });
+  }
+  const now = new Date();
+
+  const newRecords = [];
+  for (const period of Object.keys(RECORD_LABELS)) {
+    const best = context.records[period];
+    const stored = storedRecords.find(record => record.period === period);
+
+    if (!best) {
+      if (stored) await prisma.personalRecord.delete({ where: { id: stored.id } });
+      continue;
+    }
+
+    const periodStart = new Date(best.periodStart + 'T00:00:00.000Z');
+    const samePeriod = stored && toDateKey(stored.periodStart) === best.periodStart;
+    if (samePeriod && stored.makes === best.makes) continue;
+
+    if (!stored) {
+      // Setting a first record isn't news; beating one is
+      await prisma.personalRecord.create({
+        data: { userId, period, makes: best.makes, periodStart }
+      });
+    } else if (!samePeriod && best.makes > stored.makes) {
+      const record = await prisma.personalRecord.update({
+        where: { id: stored.id },
+        data: { makes: best.makes, periodStart, previousMakes: stored.makes, achievedAt: now }
+      });
+      newRecords.push(formatRecord(record));
+    } else {
+      // Adding to the record period, or a correction
+      await prisma.personalRecord.update({
+        where: { id: stored.id },
+        data: { makes: best.makes, periodStart }
+      });
+    }
+  }
+
+  return {
+    achievements: newRules.map(rule => formatAchievement(rule, { earnedAt: now, date })),
+    records: newRecords
+  };
+}
+
+/**
+ * Every badge, earned or not (with progress where it can be measured),
+ * and the current personal records
+ */
+async function getAchievements(prisma, userId) {
+  const timeZone = await getUserTimeZone(prisma, userId);
+
+  const [context, earned, records] = await Promise.all([
+    getShootingContext(prisma, userId, timeZone),
+    prisma.achievement.findMany({ where: { userId } }),
+    prisma.personalRecord.findMany({ where: { userId } })
+  ]);
+
+  const earnedByKey = new Map(earned.map(achievement => [achievement.key, achievement]));
+  const periods = Object.keys(RECORD_LABELS);
+
+  return {
+    achievements: ACHIEVEMENTS.map(rule => formatAchievement(rule, earnedByKey.get(rule.key), rule.value(context))),
+    records: records
+      .sort((a, b) => periods.indexOf(a.period) - periods.indexOf(b.period))
+      .map(formatRecord),
+    lifetimeMakes: context.lifetimeMakes
+  };
+}
+
+module.exports = {
+  ACHIEVEMENTS,
+  evaluateAchievements,
+  getAchievements
+};
@@ -0,0 +1,189 @@
+const { DEFAULT_TIME_ZONE, toDateKey, todayInTimeZone } = require('./dates');
+
+// Completing within this many minutes of the planned time is on time
+const ON_TIME_WINDOW_MINUTES = 30;
+
+// Planned types completed one at a time through the complete modal. A day
+// has at most one planned shooting session and one shooting activity, so
+// shooting is matched by day instead of by link.
+const LINKED_TYPES = ['pickup', 'custom'];
+
+/**
+ * Minutes since midnight for an HH:MM string
+ */
+function toMinutes(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * The actual activity that fulfils a planned one, if any
+ */
+function findCompletion(planned, actualActivities) {
+  if (planned.type === 'shooting') {
+    return actualActivities.find(actual => actual.type === 'shooting');
+  }
+  return actualActivities.find(actual => actual.plannedActivityId === planned.id);
+}
+
+/**
+ * How a planned activity went:
+ * - on_time: completed within ON_TIME_WINDOW_MINUTES either side of the plan
+ * - early: completed before that
+ * - late: completed after that
+ * - skipped: not completed and the day is over
+ * - pending: not completed yet, today or later
+ */
+function classifyPlanned(planned, completion, date, today) {
+  if (!completion?.completedAt) {
+    return date < today ? 'skipped' : 'pending';
+  }
+
+  const minutesLate = toMinutes(completion.completedAt) - toMinutes(planned.plannedTime);
+  if (minutesLate < -ON_TIME_WINDOW_MINUTES) return 'early';
+  return minutesLate <= ON_TIME_WINDOW_MINUTES ? 'on_time' : 'late';
+}
+
+/**
+ * The planned activity a new completion may link to: same day, same type,
+ * not already completed. Returns null if it can't be linked.
+ */
+async function findLinkablePlan(prisma, trainingDayId, type, plannedActivityId) {
+  const planned = await prisma.plannedActivity.findUnique({
+    where: { id: plannedActivityId },
+    include: { completion: true }
+  });
+
+  if (!planned || planned.trainingDayId !== trainingDayId || planned.type !== type || planned.completion) {
+    return null;
+  }
+  return planned;
+}
+
+/**
+ * Best-effort links for a day's unlinked pickup and custom completions:
+ * each one goes to the open plan of the same type nearest its completion
+ * time, and takes the plan's drill if it has none. Used for data logged
+ * before links existed, imports, and offline completions of plans that
+ * had no server id yet. `createdBefore` limits it to completions logged
+ * before then, and `actualActivityId` to that one completion. Returns
+ * links made.
+ */
+async function linkUnmatchedActivities(prisma, trainingDayId, { createdBefore, actualActivityId } = {}) {
+  const [plannedActivities, actualActivities] = await Promise.all([
+    prisma.plannedActivity.findMany({
+      where: { trainingDayId, type: { in: LINKED_TYPES }, completion: null },
+      orderBy: { plannedTime: 'asc' }
+    }),
+    prisma.actualActivity.findMany({
+      where: {
+        trainingDayId,
+        type: { in: LINKED_TYPES },
+        plannedActivityId: null,
+        ...(createdBefore && { createdAt: { lt: createdBefore } }),
+        ...(actualActivityId && { id: actualActivityId })
+      },
+      orderBy: { createdAt: 'asc' }
+    })
+  ]);
+
+  let linked = 0;
+  const open = [...plannedActivities];
+
+  for (const actual of actualActivities) {
+    const candidates = open.filter(planned => planned.type === actual.type);
+    if (candidates.length === 0) continue;
+
+    const distance = (planned) => actual.completedAt
+      ? Math.abs(toMinutes(actual.completedAt) - toMinutes(planned.plannedTime))
+      : 0;
+    const nearest = candidates.reduce((best, planned) => distance(planned) < distance(best) ? planned : best);
+
+    await prisma.actualActivity.update({
+      where: { id: actual.id },
+      data: {
+        plannedActivityId: nearest.id,
+        drillId: actual.drillId ?? nearest.drillId
+      }
+    });
+    open.splice(open.indexOf(nearest), 1);
+    linked++;
+  }
+
+  return linked;
+}
+
+/**
+ * Planned vs actual between two YYYY-MM-DD dates: every planned activity
+ * with its status, plus pickup and custom sessions that weren't planned
+ */
+async function getPlanAdherence(prisma, userId, start, end, timeZone = DEFAULT_TIME_ZONE) {
+  const trainingDays = await prisma.trainingDay.findMany({
+    where: {
+      userId,
+      date: {
+        gte: new Date(start + 'T00:00:00.000Z'),
+        lte: new Date(end + 'T00:00:00.000Z')
+      }
+    },
+    include: {
+      plannedActivities: { orderBy: { plannedTime: 'asc' } },
+      actualActivities: true
+    },
+    orderBy: { date: 'asc' }
+  });
+
+  const today = todayInTimeZone(timeZone);
+  const counts = { onTime: 0, early: 0, late: 0, skipped: 0, pending: 0, extra: 0 };
+  const statusCounts = { on_time: 'onTime', early: 'early', late: 'late', skipped: 'skipped', pending: 'pending' };
+  const days = [];
+
+  trainingDays.forEach(day => {
+    const date = toDateKey(day.date);
+
+    const planned = day.plannedActivities.map(activity => {
+      const completion = findCompletion(activity, day.actualActivities);
+      const status = classifyPlanned(activity, completion, date, today);
+      counts[statusCounts[status]]++;
+
+      return {
+        id: activity.id,
+        type: activity.type,
+        plannedTime: activity.plannedTime,
+        name: activity.name,
+        location: activity.location,
+        completedAt: completion?.completedAt || null,
+        status
+      };
+    });
+
+    const extra = day.actualActivities
+      .filter(actual => LINKED_TYPES.includes(actual.type) && !actual.plannedActivityId)
+      .map(actual => ({ id: actual.id, type: actual.type, completedAt: actual.completedAt }));
+    counts.extra += extra.length;
+
+    if (planned.length > 0 || extra.length > 0) {
+      days.push({ date, planned, extra });
+    }
+  });
+
+  const finished = counts.onTime + counts.early + counts.late + counts.skipped;
+
+  return {
+    start,
+    end,
+    counts,
+    consistencyScore: finished > 0 ? Math.round((counts.onTime / finished) * 100) : null,
+    days
+  };
+}
+
+module.exports = {
+  ON_TIME_WINDOW_MINUTES,
+  LINKED_TYPES,
+  findCompletion,
+  classifyPlanned,
+  findLinkablePlan,
+  linkUnmatchedActivities,
+  getPlanAdherence
+};
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 
 const SALT_ROUNDS = 10;
@@ -21,7 +22,7 @@ async function verifyPassword(password, hash) {
  */
 function isValidEmail(email) {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email);
+  return typeof email === 'string' && emailRegex.test(email);
 }
 
 /**
@@ -29,12 +30,28 @@ function isValidEmail(email) {
  */
 function isValidPassword(password) {
   // At least 6 characters
-  return password && password.length >= 6;
+  return typeof password === 'string' && password.length >= 6;
+}
+
+/**
+ * Random, URL-safe token for refresh tokens and emailed links
+ */
+function generateSecureToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Tokens are stored hashed, so a database leak can't be replayed
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
 }
 
 module.exports = {
   hashPassword,
   verifyPassword,
   isValidEmail,
-  isValidPassword
+  isValidPassword,
+  generateSecureToken,
+  hashToken
 };
@@ -0,0 +1,254 @@
+const { generateSecureToken, hashToken } = require('./auth');
+const { getGoalHistory, resolveGoal } = require('./goals');
+const { getSchedule, getBlocksForDate } = require('./schedule');
+const { toDateKey, addDays, todayInTimeZone, zonedTimeToDate, DEFAULT_TIME_ZONE } = require('./dates');
+
+// Days of history and of upcoming plan included in the feed
+const FEED_PAST_DAYS = 28;
+const FEED_FUTURE_DAYS = 120;
+
+// Planned activities only have a start time
+const DEFAULT_DURATION_MINUTES = {
+  shooting: 60,
+  pickup: 90,
+  custom: 60
+};
+
+// Right-hand side of every UID, so ids stay unique across calendars
+const UID_DOMAIN = 'basketball-training';
+
+/**
+ * Issue a new feed token for a user. Any earlier feed URL stops working.
+ * Returns the raw token; only its hash is stored.
+ */
+async function issueFeedToken(prisma, userId) {
+  const token = generateSecureToken();
+  const tokenHash = hashToken(token);
+
+  const feed = await prisma.calendarFeed.upsert({
+    where: { userId },
+    create: { userId, tokenHash },
+    update: { tokenHash, createdAt: new Date(), lastUsedAt: null }
+  });
+
+  return { token, feed };
+}
+
+/**
+ * The user a feed token belongs to, or null. Records when the feed was
+ * last fetched so the user can tell whether a calendar is still subscribed.
+ */
+async function findFeedUser(prisma, token) {
+  const feed = await prisma.calendarFeed.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: { user: { select: { id: true, name: true, timeZone: true } } }
+  });
+  if (!feed) return null;
+
+  await prisma.calendarFeed.update({
+    where: { id: feed.id },
+    data: { lastUsedAt: new Date() }
+  });
+  return feed.user;
+}
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11)
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets (RFC 5545 3.1), without splitting a
+ * multi-byte character
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let limit = 75;
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+      limit = 74; // Continuation lines start with a space
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+// 2026-10-19T10:00:00.000Z -> 20261019T100000Z
+function formatDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// 2026-10-19 -> 20261019
+function formatDate(dateKey) {
+  return dateKey.replace(/-/g, '');
+}
+
+function addMinutes(date, minutes) {
+  return new Date(date.getTime() + minutes * 60 * 1000);
+}
+
+/**
+ * VEVENT lines for an event: { uid, summary, start, end, allDay,
+ * location, description }. Timed events are written in UTC.
+ */
+function eventLines(event, stamp) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`
+  ];
+
+  if (event.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(addDays(event.start, 1))}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(event.start)}`);
+    lines.push(`DTEND:${formatDateTime(event.end)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+function describePlanned(activity, goal) {
+  if (activity.type === 'shooting') {
+    return { summary: `Shooting: ${goal} makes` };
+  }
+  if (activity.type === 'pickup') {
+    return { summary: 'Pickup Run', location: activity.location };
+  }
+
+  const drill = activity.drill;
+  const target = drill && [
+    drill.sets && drill.reps ? `${drill.sets}×${drill.reps}` : drill.reps ? `${drill.reps} reps` : null,
+    drill.targetMinutes ? `${drill.targetMinutes} min` : null
+  ].filter(Boolean).join(', ');
+
+  return {
+    summary: activity.name || drill?.name || 'Custom Activity',
+    description: [target, drill?.instructions].filter(Boolean).join('\n') || null,
+    minutes: drill?.targetMinutes
+  };
+}
+
+function describeGames(games) {
+  if (games.length === 0) return 'Game Day';
+  return games
+    .map(game => `Game ${game.site === 'away' ? '@' : 'vs'} ${game.opponent}`)
+    .join(', ');
+}
+
+/**
+ * Every event in the feed window: planned activities, fixed schedule
+ * blocks and game days. UIDs come from database ids (plus the date for
+ * recurring blocks), so an edited plan updates the existing event.
+ */
+async function getFeedEvents(prisma, userId, timeZone, today) {
+  const start = addDays(today, -FEED_PAST_DAYS);
+  const end = addDays(today, FEED_FUTURE_DAYS);
+
+  const [trainingDays, schedule, goalHistory] = await Promise.all([
+    prisma.trainingDay.findMany({
+      where: {
+        userId,
+        date: {
+          gte: new Date(start + 'T00:00:00.000Z'),
+          lte: new Date(end + 'T00:00:00.000Z')
+        }
+      },
+      include: {
+        plannedActivities: { include: { drill: true } },
+        games: { orderBy: { createdAt: 'asc' } }
+      }
+    }),
+    getSchedule(prisma, userId),
+    getGoalHistory(prisma, userId)
+  ]);
+
+  const byDate = new Map(trainingDays.map(day => [toDateKey(day.date), day]));
+  const events = [];
+
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    const day = byDate.get(date);
+
+    if (day?.isGameDay) {
+      events.push({ uid: `gameday-${day.id}`, summary: describeGames(day.games), start: date, allDay: true });
+    }
+
+    getBlocksForDate(schedule, date, day?.isGameDay || false).forEach(block => {
+      events.push({
+        uid: `block-${block.id}-${formatDate(date)}`,
+        summary: block.title,
+        start: zonedTimeToDate(date, block.startTime, timeZone),
+        end: zonedTimeToDate(date, block.endTime, timeZone)
+      });
+    });
+
+    if (!day) continue;
+
+    const goal = resolveGoal(goalHistory, day);
+    day.plannedActivities.forEach(activity => {
+      const { summary, location, description, minutes } = describePlanned(activity, goal);
+      const startAt = zonedTimeToDate(date, activity.plannedTime, timeZone);
+
+      events.push({
+        uid: `planned-${activity.id}`,
+        summary,
+        location,
+        description,
+        start: startAt,
+        end: addMinutes(startAt, minutes || DEFAULT_DURATION_MINUTES[activity.type])
+      });
+    });
+  }
+
+  return events;
+}
+
+/**
+ * The user's training plan as an RFC 5545 calendar
+ */
+async function buildCalendarFeed(prisma, user, now = new Date()) {
+  const timeZone = user.timeZone || DEFAULT_TIME_ZONE;
+  const events = await getFeedEvents(prisma, user.id, timeZone, todayInTimeZone(timeZone, now));
+  const stamp = formatDateTime(now);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${UID_DOMAIN}//Training Plan//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`${user.name}'s Training`)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+    // Ask subscribed calendars to check back hourly
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...events.flatMap(event => eventLines(event, stamp)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  issueFeedToken,
+  findFeedUser,
+  buildCalendarFeed
+};
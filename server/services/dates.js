@@ -0,0 +1,131 @@
+/**
+ * Training days are calendar dates stored as midnight UTC, so date keys
+ * (YYYY-MM-DD) are always read and built in UTC. Only "what day is it
+ * now" and "what time is it now" depend on a time zone: the user's, never
+ * the server's.
+ */
+
+const DEFAULT_TIME_ZONE = 'UTC';
+
+/**
+ * YYYY-MM-DD key for a stored date
+ */
+function toDateKey(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+/**
+ * Whether a value is a real YYYY-MM-DD date (not e.g. 2026-02-30)
+ */
+function isValidDateKey(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(value + 'T00:00:00.000Z');
+  return !isNaN(date) && toDateKey(date) === value;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+function addDays(date, days) {
+  const d = new Date(date + 'T00:00:00.000Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Sunday of the week containing a YYYY-MM-DD date
+ */
+function getWeekStart(date) {
+  const d = new Date(date + 'T00:00:00.000Z');
+  d.setUTCDate(d.getUTCDate() - d.getUTCDay());
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Whether a string is an IANA time zone name, e.g. America/Chicago
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Today's YYYY-MM-DD date in a time zone
+ */
+function todayInTimeZone(timeZone = DEFAULT_TIME_ZONE, now = new Date()) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(now);
+}
+
+/**
+ * Current HH:MM (24-hour) time in a time zone
+ */
+function timeInTimeZone(timeZone = DEFAULT_TIME_ZONE, now = new Date()) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(now);
+}
+
+/**
+ * The instant a wall-clock time (YYYY-MM-DD, HH:MM) happens in a time zone
+ */
+function zonedTimeToDate(date, time, timeZone = DEFAULT_TIME_ZONE) {
+  const wallClock = new Date(`${date}T${time}:00.000Z`);
+
+  // How far the zone's clock is ahead of UTC at an instant
+  const offsetAt = instant => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(instant);
+    const get = type => Number(parts.find(part => part.type === type).value);
+    return Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second')) - instant.getTime();
+  };
+
+  // Check the offset again at the first guess in case it crossed a DST change
+  const guess = new Date(wallClock.getTime() - offsetAt(wallClock));
+  return new Date(wallClock.getTime() - offsetAt(guess));
+}
+
+/**
+ * A user's IANA time zone; UTC until the app has reported one
+ */
+async function getUserTimeZone(prisma, userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { timeZone: true }
+  });
+  return user?.timeZone || DEFAULT_TIME_ZONE;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  toDateKey,
+  isValidDateKey,
+  addDays,
+  getWeekStart,
+  isValidTimeZone,
+  todayInTimeZone,
+  timeInTimeZone,
+  zonedTimeToDate,
+  getUserTimeZone
+};
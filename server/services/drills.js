@@ -0,0 +1,220 @@
+const DRILL_CATEGORIES = ['ball_handling', 'finishing', 'conditioning', 'strength'];
+
+// Optional whole-number fields on a drill and on a logged completion
+const DRILL_COUNTS = ['targetMinutes', 'sets', 'reps'];
+const COMPLETION_COUNTS = ['sets', 'reps'];
+
+const isPositiveCount = value => Number.isInteger(value) && value > 0;
+
+/**
+ * Validate a complete drill (an existing drill merged with any changes).
+ * Returns an error message or null.
+ */
+function validateDrill(drill) {
+  if (typeof drill.name !== 'string' || !drill.name.trim() || drill.name.length > 100) {
+    return 'name is required (up to 100 characters)';
+  }
+  if (!DRILL_CATEGORIES.includes(drill.category)) {
+    return `category must be one of ${DRILL_CATEGORIES.join(', ')}`;
+  }
+  for (const field of DRILL_COUNTS) {
+    if (drill[field] != null && !isPositiveCount(drill[field])) {
+      return `${field} must be a positive whole number`;
+    }
+  }
+  if (drill.instructions != null && (typeof drill.instructions !== 'string' || drill.instructions.length > 2000)) {
+    return 'instructions must be text (up to 2000 characters)';
+  }
+  if (typeof drill.shared !== 'boolean') {
+    return 'shared must be true or false';
+  }
+  return null;
+}
+
+/**
+ * Drill fields from a request body, with defaults for a new drill
+ */
+function toDrillFields(body, existing = null) {
+  const fields = {
+    name: existing?.name,
+    category: existing?.category,
+    targetMinutes: existing?.targetMinutes ?? null,
+    sets: existing?.sets ?? null,
+    reps: existing?.reps ?? null,
+    instructions: existing?.instructions ?? null,
+    shared: existing?.shared ?? false
+  };
+
+  Object.keys(fields).forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (typeof fields.name === 'string') fields.name = fields.name.trim();
+  if (fields.instructions === '') fields.instructions = null;
+
+  return fields;
+}
+
+/**
+ * Validate the sets and reps logged with a custom completion. Returns an
+ * error message or null.
+ */
+function validateCompletionDetails(details) {
+  for (const field of COMPLETION_COUNTS) {
+    if (details[field] != null && !isPositiveCount(details[field])) {
+      return `${field} must be a positive whole number`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Format a drill for API response. `userId` is the reader, so the client
+ * can tell its own drills from ones shared with it.
+ */
+function formatDrill(drill, userId) {
+  return {
+    id: drill.id,
+    name: drill.name,
+    category: drill.category,
+    targetMinutes: drill.targetMinutes,
+    sets: drill.sets,
+    reps: drill.reps,
+    instructions: drill.instructions,
+    shared: drill.shared,
+    own: drill.userId === userId,
+    ...(drill.user && { owner: { id: drill.user.id, name: drill.user.name } })
+  };
+}
+
+/**
+ * Ids of everyone who shares a team with a user: their coaches and
+ * teammates, and the athletes on teams they coach
+ */
+async function getTeamPeerIds(prisma, userId) {
+  const teams = await prisma.team.findMany({
+    where: {
+      OR: [
+        { coachId: userId },
+        { members: { some: { athleteId: userId } } }
+      ]
+    },
+    select: {
+      coachId: true,
+      members: { select: { athleteId: true } }
+    }
+  });
+
+  const ids = new Set();
+  teams.forEach(team => {
+    ids.add(team.coachId);
+    team.members.forEach(member => ids.add(member.athleteId));
+  });
+  ids.delete(userId);
+
+  return [...ids];
+}
+
+/**
+ * Prisma filter for the drills a user can see: their own, plus shared
+ * drills from people on their teams
+ */
+async function visibleDrillsWhere(prisma, userId) {
+  const peerIds = await getTeamPeerIds(prisma, userId);
+
+  return {
+    OR: [
+      { userId },
+      { shared: true, userId: { in: peerIds } }
+    ]
+  };
+}
+
+/**
+ * Find a drill the user can see, or null
+ */
+async function findVisibleDrill(prisma, userId, drillId) {
+  if (typeof drillId !== 'string') return null;
+
+  return prisma.drill.findFirst({
+    where: {
+      id: drillId,
+      ...(await visibleDrillsWhere(prisma, userId))
+    }
+  });
+}
+
+/**
+ * Resolve the drill for a new planned activity. Only custom activities
+ * use drills; the name defaults to the drill's so the plan still reads
+ * well if the drill is later removed. Returns { error } or { drillId, name }.
+ */
+async function resolvePlannedDrill(prisma, userId, { type, name, drillId }) {
+  if (type !== 'custom' || drillId == null) {
+    return { drillId: null, name: type === 'custom' ? name || null : null };
+  }
+
+  const drill = await findVisibleDrill(prisma, userId, drillId);
+  if (!drill) {
+    return { error: 'Drill not found' };
+  }
+  return { drillId: drill.id, name: name || drill.name };
+}
+
+/**
+ * Sessions, minutes and reps of logged custom activities per drill
+ * category between two YYYY-MM-DD dates. Completions without a drill
+ * are counted as uncategorized.
+ */
+async function getCategoryStats(prisma, userId, start, end) {
+  const activities = await prisma.actualActivity.findMany({
+    where: {
+      type: 'custom',
+      trainingDay: {
+        userId,
+        date: {
+          gte: new Date(start + 'T00:00:00.000Z'),
+          lte: new Date(end + 'T00:00:00.000Z')
+        }
+      }
+    },
+    select: {
+      durationMinutes: true,
+      sets: true,
+      reps: true,
+      drill: { select: { category: true } }
+    }
+  });
+
+  const empty = () => ({ sessions: 0, minutes: 0, reps: 0 });
+  const totals = Object.fromEntries(DRILL_CATEGORIES.map(category => [category, empty()]));
+  const uncategorized = empty();
+
+  activities.forEach(activity => {
+    const bucket = activity.drill ? totals[activity.drill.category] : uncategorized;
+    bucket.sessions++;
+    bucket.minutes += activity.durationMinutes || 0;
+    bucket.reps += (activity.reps || 0) * (activity.sets || 1);
+  });
+
+  const categories = DRILL_CATEGORIES.map(category => ({ category, ...totals[category] }));
+
+  return {
+    start,
+    end,
+    categories,
+    uncategorized,
+    totalMinutes: categories.reduce((sum, category) => sum + category.minutes, uncategorized.minutes)
+  };
+}
+
+module.exports = {
+  DRILL_CATEGORIES,
+  validateDrill,
+  toDrillFields,
+  validateCompletionDetails,
+  formatDrill,
+  visibleDrillsWhere,
+  findVisibleDrill,
+  resolvePlannedDrill,
+  getCategoryStats
+};
@@ -0,0 +1,65 @@
+const { generateSecureToken, hashToken } = require('./auth');
+
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_MINUTES = 7 * 24 * 60;
+
+const TTL_MINUTES = {
+  password_reset: PASSWORD_RESET_TTL_MINUTES,
+  email_verification: EMAIL_VERIFICATION_TTL_MINUTES
+};
+
+/**
+ * Issue a single-use token for an emailed link. Earlier unused tokens of
+ * the same type stop working, so only the newest email's link is valid.
+ * Returns the raw token; only its hash is stored.
+ */
+async function issueEmailToken(prisma, userId, type) {
+  const token = generateSecureToken();
+
+  await prisma.emailToken.deleteMany({
+    where: { userId, type, usedAt: null }
+  });
+
+  await prisma.emailToken.create({
+    data: {
+      userId,
+      type,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + TTL_MINUTES[type] * 60 * 1000)
+    }
+  });
+
+  return token;
+}
+
+/**
+ * Mark a token used and return its user id, or null if the token is
+ * unknown, expired or already used
+ */
+async function consumeEmailToken(prisma, token, type) {
+  const tokenHash = hashToken(token);
+
+  // Conditional update so the same link can't be used twice at once
+  const { count } = await prisma.emailToken.updateMany({
+    where: {
+      tokenHash,
+      type,
+      usedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    data: { usedAt: new Date() }
+  });
+
+  if (count === 0) return null;
+
+  const emailToken = await prisma.emailToken.findUnique({
+    where: { tokenHash }
+  });
+  return emailToken.userId;
+}
+
+module.exports = {
+  PASSWORD_RESET_TTL_MINUTES,
+  issueEmailToken,
+  consumeEmailToken
+};
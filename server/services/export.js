@@ -0,0 +1,589 @@
+const { getOrCreateTrainingDay } = require('./training');
+const { UNSPECIFIED_ZONE, validateShootingSet } = require('./shooting');
+const { isValidTime } = require('./schedule');
+const { isValidGoal } = require('./goals');
+const { isValidDateKey } = require('./dates');
+const { LINKED_TYPES, linkUnmatchedActivities } = require('./adherence');
+const { STAT_FIELDS, validateGame, toGameFields } = require('./games');
+const { findVisibleDrill, validateCompletionDetails } = require('./drills');
+const { validateSessionLoad } = require('./load');
+const { validateJournal, saveJournal } = require('./journal');
+
+const EXPORT_VERSION = 1;
+const BATCH_SIZE = 100;
+
+const PLANNED_TYPES = ['shooting', 'pickup', 'custom'];
+const ACTUAL_TYPES = ['shooting', 'pickup', 'custom', 'coach_skills', 'coach_weights', 'varsity'];
+
+// Later columns are appended; older exports stop after a prefix of these
+const CSV_COLUMNS = [
+  'date', 'is_game_day', 'shooting_goal', 'record', 'type',
+  'time', 'location', 'name', 'makes', 'attempts', 'zone',
+  'id', 'planned_id',
+  'team_score', 'opponent_score', 'minutes', 'points',
+  'field_goals_made', 'field_goals_attempted', 'threes_made', 'threes_attempted',
+  'free_throws_made', 'free_throws_attempted', 'rebounds', 'assists', 'steals', 'turnovers',
+  'import_uid',
+  'drill_id', 'sets', 'reps',
+  'duration_minutes', 'rpe',
+  'notes', 'sleep_hours', 'soreness', 'energy', 'mood'
+];
+const REQUIRED_CSV_COLUMNS = 11;
+
+// Game rows put the opponent in name, the site in location and the
+// tip-off in time; the box score has its own columns
+const GAME_NUMBER_FIELDS = ['teamScore', 'opponentScore', 'minutes', ...STAT_FIELDS];
+const toSnakeCase = field => field.replace(/[A-Z]/g, char => '_' + char.toLowerCase());
+
+const WELLNESS_FIELDS = ['sleepHours', 'soreness', 'energy', 'mood'];
+
+/**
+ * Walk all of a user's training days in date order, a batch at a time
+ */
+async function* iterateTrainingDays(prisma, userId) {
+  let cursor;
+
+  while (true) {
+    const batch = await prisma.trainingDay.findMany({
+      where: { userId },
+      include: {
+        plannedActivities: { orderBy: { createdAt: 'asc' } },
+        actualActivities: {
+          include: { shootingSets: { orderBy: { createdAt: 'asc' } } },
+          orderBy: { createdAt: 'asc' }
+        },
+        games: { orderBy: { createdAt: 'asc' } },
+        wellness: true
+      },
+      orderBy: { date: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { skip: 1, cursor: { id: cursor } })
+    });
+
+    for (const day of batch) {
+      yield day;
+    }
+
+    if (batch.length < BATCH_SIZE) break;
+    cursor = batch[batch.length - 1].id;
+  }
+}
+
+/**
+ * Serialize a training day for export
+ */
+function serializeDay(day) {
+  return {
+    date: day.date.toISOString().split('T')[0],
+    isGameDay: day.isGameDay,
+    shootingGoal: day.shootingGoal,
+    notes: day.notes,
+    wellness: day.wellness && Object.fromEntries(WELLNESS_FIELDS.map(field => [field, day.wellness[field]])),
+    planned: day.plannedActivities.map(activity => ({
+      id: activity.id,
+      type: activity.type,
+      time: activity.plannedTime,
+      location: activity.location,
+      name: activity.name,
+      drillId: activity.drillId
+    })),
+    actual: day.actualActivities.map(activity => ({
+      type: activity.type,
+      completedAt: activity.completedAt,
+      shootingMakes: activity.shootingMakes,
+      durationMinutes: activity.durationMinutes,
+      rpe: activity.rpe,
+      plannedActivityId: activity.plannedActivityId,
+      drillId: activity.drillId,
+      setCount: activity.sets, // Custom sets and reps; `sets` below are shooting sets
+      reps: activity.reps,
+      sets: activity.shootingSets.map(set => ({
+        zone: set.zone,
+        makes: set.makes,
+        attempts: set.attempts
+      }))
+    })),
+    games: day.games.map(game => ({
+      opponent: game.opponent,
+      site: game.site,
+      startTime: game.startTime,
+      importUid: game.importUid,
+      ...Object.fromEntries(GAME_NUMBER_FIELDS.map(field => [field, game[field]]))
+    }))
+  };
+}
+
+/**
+ * Quote a CSV field if needed
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Rows for an exported training day. Every day gets a `day` row so game
+ * days and goal overrides survive a round trip.
+ */
+function dayToCsvRows(day) {
+  const base = { date: day.date, is_game_day: day.isGameDay, shooting_goal: day.shootingGoal };
+  const rows = [{ ...base, record: 'day', notes: day.notes }];
+
+  if (day.wellness) {
+    rows.push({
+      ...base,
+      record: 'wellness',
+      ...Object.fromEntries(WELLNESS_FIELDS.map(field => [toSnakeCase(field), day.wellness[field]]))
+    });
+  }
+
+  day.planned.forEach(activity => {
+    rows.push({
+      ...base,
+      record: 'planned',
+      type: activity.type,
+      time: activity.time,
+      location: activity.location,
+      name: activity.name,
+      id: activity.id,
+      drill_id: activity.drillId
+    });
+  });
+
+  day.actual.forEach(activity => {
+    rows.push({
+      ...base,
+      record: 'actual',
+      type: activity.type,
+      time: activity.completedAt,
+      makes: activity.shootingMakes,
+      planned_id: activity.plannedActivityId,
+      drill_id: activity.drillId,
+      sets: activity.setCount,
+      reps: activity.reps,
+      duration_minutes: activity.durationMinutes,
+      rpe: activity.rpe
+    });
+    activity.sets.forEach(set => {
+      rows.push({ ...base, record: 'set', type: activity.type, makes: set.makes, attempts: set.attempts, zone: set.zone });
+    });
+  });
+
+  day.games.forEach(game => {
+    rows.push({
+      ...base,
+      record: 'game',
+      time: game.startTime,
+      location: game.site,
+      name: game.opponent,
+      import_uid: game.importUid,
+      ...Object.fromEntries(GAME_NUMBER_FIELDS.map(field => [toSnakeCase(field), game[field]]))
+    });
+  });
+
+  return rows.map(row => CSV_COLUMNS.map(column => csvField(row[column])).join(','));
+}
+
+/**
+ * Split CSV text into rows of fields
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value !== ''));
+}
+
+/**
+ * Turn an exported CSV back into training days
+ */
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header || header.length < REQUIRED_CSV_COLUMNS || header.some((column, i) => column !== CSV_COLUMNS[i])) {
+    throw Object.assign(new Error(`CSV header must be: ${CSV_COLUMNS.join(',')}`), { status: 400 });
+  }
+  // Exports from before links leave them to be guessed on import
+  const hasLinks = header.includes('planned_id');
+
+  const days = new Map();
+  const toInt = value => (value === '' ? null : Number(value));
+
+  rows.forEach(fields => {
+    const record = Object.fromEntries(CSV_COLUMNS.map((column, i) => [column, fields[i] ?? '']));
+
+    if (!days.has(record.date)) {
+      days.set(record.date, {
+        date: record.date,
+        isGameDay: record.is_game_day === 'true',
+        shootingGoal: toInt(record.shooting_goal),
+        planned: [],
+        actual: [],
+        games: []
+      });
+    }
+    const day = days.get(record.date);
+
+    if (record.record === 'day') {
+      day.notes = record.notes || null;
+    } else if (record.record === 'wellness') {
+      day.wellness = Object.fromEntries(WELLNESS_FIELDS.map(field => [field, toInt(record[toSnakeCase(field)])]));
+    } else if (record.record === 'planned') {
+      day.planned.push({
+        id: record.id || null,
+        type: record.type,
+        time: record.time,
+        location: record.location || null,
+        name: record.name || null,
+        drillId: record.drill_id || null
+      });
+    } else if (record.record === 'actual') {
+      day.actual.push({
+        type: record.type,
+        completedAt: record.time || null,
+        shootingMakes: toInt(record.makes),
+        durationMinutes: toInt(record.duration_minutes),
+        rpe: toInt(record.rpe),
+        ...(hasLinks && { plannedActivityId: record.planned_id || null }),
+        drillId: record.drill_id || null,
+        setCount: toInt(record.sets),
+        reps: toInt(record.reps),
+        sets: []
+      });
+    } else if (record.record === 'game') {
+      day.games.push({
+        opponent: record.name,
+        site: record.location,
+        startTime: record.time || null,
+        importUid: record.import_uid || null,
+        ...Object.fromEntries(GAME_NUMBER_FIELDS.map(field => [field, toInt(record[toSnakeCase(field)])]))
+      });
+    } else if (record.record === 'set') {
+      const activity = [...day.actual].reverse().find(a => a.type === record.type);
+      if (activity) {
+        activity.sets.push({
+          zone: record.zone,
+          makes: toInt(record.makes),
+          attempts: toInt(record.attempts)
+        });
+      }
+    }
+  });
+
+  return [...days.values()];
+}
+
+/**
+ * Validate imported training days. Returns an error message or null.
+ */
+function validateImport(days) {
+  if (!Array.isArray(days)) {
+    return 'trainingDays must be a list';
+  }
+
+  const seen = new Set();
+  for (const day of days) {
+    if (!day || !isValidDateKey(day.date)) {
+      return `Invalid date: ${day?.date}`;
+    }
+    if (seen.has(day.date)) {
+      return `Duplicate date: ${day.date}`;
+    }
+    seen.add(day.date);
+
+    if (day.isGameDay != null && typeof day.isGameDay !== 'boolean') {
+      return `Invalid game day flag on ${day.date}`;
+    }
+    if (validateJournal({ notes: day.notes, wellness: day.wellness }) !== null) {
+      return `Invalid notes or wellness check-in on ${day.date}`;
+    }
+    if (day.shootingGoal != null && !isValidGoal(day.shootingGoal)) {
+      return `Invalid shooting goal on ${day.date}`;
+    }
+
+    const plannedTypes = new Map();
+    for (const activity of day.planned || []) {
+      if (!activity || !PLANNED_TYPES.includes(activity.type) || !isValidTime(activity.time)) {
+        return `Invalid planned activity on ${day.date}`;
+      }
+      if (activity.drillId != null && (activity.type !== 'custom' || typeof activity.drillId !== 'string')) {
+        return `Invalid planned drill on ${day.date}`;
+      }
+      if (activity.id != null) {
+        if (typeof activity.id !== 'string' || plannedTypes.has(activity.id)) {
+          return `Invalid planned activity id on ${day.date}`;
+        }
+        plannedTypes.set(activity.id, activity.type);
+      }
+    }
+
+    const linkedPlans = new Set();
+
+    for (const activity of day.actual || []) {
+      if (!activity || !ACTUAL_TYPES.includes(activity.type)) {
+        return `Invalid actual activity on ${day.date}`;
+      }
+      if (activity.completedAt != null && !isValidTime(activity.completedAt)) {
+        return `Invalid completion time on ${day.date}`;
+      }
+      if (activity.shootingMakes != null && (!Number.isInteger(activity.shootingMakes) || activity.shootingMakes < 0)) {
+        return `Invalid shooting makes on ${day.date}`;
+      }
+      if (validateSessionLoad(activity) !== null) {
+        return `Invalid duration or RPE on ${day.date}`;
+      }
+      const hasDetails = activity.drillId != null || activity.setCount != null || activity.reps != null;
+      if (hasDetails && (activity.type !== 'custom' || (activity.drillId != null && typeof activity.drillId !== 'string') ||
+          validateCompletionDetails({ sets: activity.setCount, reps: activity.reps }) !== null)) {
+        return `Invalid custom activity details on ${day.date}`;
+      }
+      if (activity.plannedActivityId != null) {
+        const linkable = LINKED_TYPES.includes(activity.type) &&
+          plannedTypes.get(activity.plannedActivityId) === activity.type &&
+          !linkedPlans.has(activity.plannedActivityId);
+        if (!linkable) {
+          return `Invalid planned activity link on ${day.date}`;
+        }
+        linkedPlans.add(activity.plannedActivityId);
+      }
+      for (const set of activity.sets || []) {
+        // Counter makes have no zone or attempts; zoned sets follow the usual rules
+        const invalid = set?.zone === UNSPECIFIED_ZONE
+          ? !Number.isInteger(set.makes) || set.makes < 0 || set.attempts != null
+          : !set || validateShootingSet(set) !== null;
+        if (invalid) {
+          return `Invalid shooting set on ${day.date}`;
+        }
+      }
+    }
+
+    for (const game of day.games || []) {
+      if (!game || validateGame(toGameFields(game)) !== null) {
+        return `Invalid game on ${day.date}`;
+      }
+      if ((game.startTime != null && !isValidTime(game.startTime)) ||
+          (game.importUid != null && typeof game.importUid !== 'string')) {
+        return `Invalid game on ${day.date}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Merge imported training days into a user's data. Run inside a
+ * transaction. Activities already present are left alone, so importing
+ * the same file twice changes nothing:
+ * - planned activities match on type, time, location and name
+ * - shooting matches per day; the import wins only if it has more makes
+ * - coach and varsity sessions match on type
+ * - pickup and custom completions match on type and completion time,
+ *   and keep their link to the plan they completed; exports from before
+ *   links get linked to the nearest open plan of the same type
+ * - games match on opponent and tip-off time
+ * - drills are kept only if the user can see them, so an export from
+ *   another account imports without them
+ * - notes and the wellness check-in fill in only days that have none
+ */
+async function importTrainingDays(tx, userId, days) {
+  const drills = new Map();
+  const resolveDrill = async drillId => {
+    if (!drillId) return null;
+    if (!drills.has(drillId)) {
+      drills.set(drillId, (await findVisibleDrill(tx, userId, drillId))?.id ?? null);
+    }
+    return drills.get(drillId);
+  };
+
+  const result = { days: 0, plannedAdded: 0, actualAdded: 0, actualUpdated: 0, gamesAdded: 0, journalsAdded: 0, unchanged: 0 };
+
+  for (const day of days) {
+    const trainingDay = await getOrCreateTrainingDay(tx, userId, day.date);
+    result.days++;
+
+    const journalAdded = await saveJournal(tx, trainingDay, {
+      notes: trainingDay.notes ? undefined : day.notes ?? undefined,
+      wellness: trainingDay.wellness ? undefined : day.wellness ?? undefined
+    });
+    if (journalAdded) result.journalsAdded++;
+
+    const isGameDay = Boolean(day.isGameDay) || (day.games || []).length > 0;
+    if (isGameDay || day.shootingGoal != null) {
+      await tx.trainingDay.update({
+        where: { id: trainingDay.id },
+        data: {
+          isGameDay: trainingDay.isGameDay || isGameDay,
+          shootingGoal: trainingDay.shootingGoal ?? day.shootingGoal ?? null
+        }
+      });
+    }
+
+    // Exported plan id -> the plan it became in this account
+    const plans = new Map();
+    const completedPlans = new Set(
+      trainingDay.actualActivities.map(actual => actual.plannedActivityId).filter(Boolean)
+    );
+
+    for (const activity of day.planned || []) {
+      const existing = trainingDay.plannedActivities.find(planned =>
+        planned.type === activity.type &&
+        planned.plannedTime === activity.time &&
+        (planned.location || null) === (activity.location || null) &&
+        (planned.name || null) === (activity.name || null)
+      );
+
+      if (existing) {
+        if (activity.id) plans.set(activity.id, existing);
+        result.unchanged++;
+        continue;
+      }
+
+      const created = await tx.plannedActivity.create({
+        data: {
+          trainingDayId: trainingDay.id,
+          type: activity.type,
+          plannedTime: activity.time,
+          location: activity.location || null,
+          name: activity.name || null,
+          drillId: await resolveDrill(activity.drillId)
+        }
+      });
+      if (activity.id) plans.set(activity.id, created);
+      result.plannedAdded++;
+    }
+
+    for (const activity of day.actual || []) {
+      const existing = trainingDay.actualActivities.find(actual =>
+        actual.type === activity.type &&
+        (!['pickup', 'custom'].includes(activity.type) || actual.completedAt === (activity.completedAt || null))
+      );
+
+      if (activity.type === 'shooting' && existing) {
+        if ((activity.shootingMakes || 0) <= (existing.shootingMakes || 0)) {
+          result.unchanged++;
+          continue;
+        }
+
+        await tx.shootingSet.deleteMany({ where: { actualActivityId: existing.id } });
+        await tx.actualActivity.update({
+          where: { id: existing.id },
+          data: {
+            shootingMakes: activity.shootingMakes,
+            completedAt: activity.completedAt ?? existing.completedAt,
+            durationMinutes: activity.durationMinutes ?? existing.durationMinutes,
+            rpe: activity.rpe ?? existing.rpe,
+            shootingSets: { create: activity.sets || [] }
+          }
+        });
+        result.actualUpdated++;
+        continue;
+      }
+
+      if (existing) {
+        result.unchanged++;
+        continue;
+      }
+
+      const plan = plans.get(activity.plannedActivityId);
+      const plannedActivityId = plan && !completedPlans.has(plan.id) ? plan.id : null;
+      if (plannedActivityId) completedPlans.add(plannedActivityId);
+
+      await tx.actualActivity.create({
+        data: {
+          trainingDayId: trainingDay.id,
+          plannedActivityId,
+          type: activity.type,
+          completedAt: activity.completedAt || null,
+          shootingMakes: activity.type === 'shooting' ? (activity.shootingMakes || 0) : null,
+          durationMinutes: activity.durationMinutes ?? null,
+          rpe: activity.rpe ?? null,
+          ...(activity.type === 'custom' && {
+            drillId: (await resolveDrill(activity.drillId)) ?? plan?.drillId ?? null,
+            sets: activity.setCount ?? null,
+            reps: activity.reps ?? null
+          }),
+          ...(activity.type === 'shooting' && {
+            shootingSets: { create: activity.sets || [] }
+          })
+        }
+      });
+      result.actualAdded++;
+    }
+
+    for (const game of day.games || []) {
+      const fields = toGameFields(game);
+      const startTime = game.startTime || null;
+      const exists = trainingDay.games.some(existing =>
+        existing.opponent === fields.opponent && existing.startTime === startTime
+      );
+
+      if (exists) {
+        result.unchanged++;
+        continue;
+      }
+
+      await tx.game.create({
+        data: {
+          ...fields,
+          startTime,
+          importUid: game.importUid || null,
+          trainingDayId: trainingDay.id
+        }
+      });
+      result.gamesAdded++;
+    }
+
+    if ((day.actual || []).some(activity => activity.plannedActivityId === undefined)) {
+      await linkUnmatchedActivities(tx, trainingDay.id);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  EXPORT_VERSION,
+  CSV_COLUMNS,
+  iterateTrainingDays,
+  serializeDay,
+  dayToCsvRows,
+  parseCsv,
+  validateImport,
+  importTrainingDays
+};
@@ -0,0 +1,277 @@
+const { getOrCreateTrainingDay } = require('./training');
+const { clearEmptyGameDay } = require('./games');
+const { toDateKey, isValidDateKey, isValidTimeZone, todayInTimeZone, timeInTimeZone, zonedTimeToDate } = require('./dates');
+
+const MAX_OPPONENT_LENGTH = 100;
+
+/**
+ * Join folded lines (RFC 5545 3.1) and split into content lines
+ */
+function unfoldLines(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim());
+}
+
+/**
+ * Split a content line into name, parameters and value, e.g.
+ * DTSTART;TZID=America/Chicago:20261204T190000
+ */
+function parseContentLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...paramList] = line.slice(0, colon).split(';');
+  const params = {};
+  paramList.forEach(param => {
+    const [key, value = ''] = param.split('=');
+    params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+function unescapeText(value) {
+  return value
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+}
+
+/**
+ * Local date and HH:MM time of a DTSTART in `timeZone`, or null if it
+ * isn't a real date and time. All-day events have no time. Times in UTC
+ * or a named zone are converted; floating times (and zones we don't
+ * recognize) are taken as they are.
+ */
+function parseStart({ params, value }, timeZone) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, , utc] = match;
+  const date = `${year}-${month}-${day}`;
+  if (!isValidDateKey(date)) return null;
+  if (hour !== undefined && (Number(hour) > 23 || Number(minute) > 59)) return null;
+  if (params.VALUE === 'DATE' || hour === undefined) return { date, time: null };
+
+  const time = `${hour}:${minute}`;
+  let instant = null;
+  if (utc) {
+    instant = new Date(`${date}T${time}:00.000Z`);
+  } else if (params.TZID && isValidTimeZone(params.TZID)) {
+    instant = zonedTimeToDate(date, time, params.TZID);
+  }
+
+  if (!instant) return { date, time };
+  return { date: todayInTimeZone(timeZone, instant), time: timeInTimeZone(timeZone, instant) };
+}
+
+/**
+ * Opponent and site from an event title: "vs Central" and "Central" are
+ * home games, "@ Central" and "at Central" are away
+ */
+function parseOpponent(summary) {
+  const away = summary.match(/(?:^|\s)(?:@|at)\s+(.+)$/i);
+  if (away) return { opponent: away[1].trim(), site: 'away' };
+
+  const home = summary.match(/(?:^|\s)(?:vs\.?|versus|v\.)\s+(.+)$/i);
+  if (home) return { opponent: home[1].trim(), site: 'home' };
+
+  return { opponent: summary, site: 'home' };
+}
+
+/**
+ * Events from an iCalendar file, converted to the user's time zone.
+ * Returns { events, skipped } where skipped events say why.
+ */
+function parseGameSchedule(text, timeZone) {
+  if (typeof text !== 'string' || !/BEGIN:VCALENDAR/i.test(text)) {
+    return { error: 'File is not an iCalendar (.ics) file' };
+  }
+
+  const events = [];
+  const skipped = [];
+  let current = null;
+
+  unfoldLines(text).forEach(line => {
+    const property = parseContentLine(line);
+    if (!property) return;
+
+    if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VEVENT') {
+      current = {};
+    } else if (property.name === 'END' && property.value.toUpperCase() === 'VEVENT') {
+      if (current) events.push(current);
+      current = null;
+    } else if (current) {
+      current[property.name] = property;
+    }
+  });
+
+  const byUid = new Map();
+  events.forEach(event => {
+    const summary = event.SUMMARY ? unescapeText(event.SUMMARY.value) : '';
+    const uid = event.UID?.value.trim();
+    const start = event.DTSTART && parseStart(event.DTSTART, timeZone);
+
+    if (!uid) {
+      skipped.push({ summary, reason: 'No UID, so it can\'t be matched on re-import' });
+    } else if (!event.DTSTART) {
+      skipped.push({ summary, reason: 'No start date' });
+    } else if (!start) {
+      skipped.push({ summary, reason: 'Start isn\'t a valid date and time' });
+    } else if (event.RRULE) {
+      skipped.push({ summary, reason: 'Repeating events aren\'t supported' });
+    } else if (!summary) {
+      skipped.push({ summary, reason: 'No title to take the opponent from' });
+    } else {
+      const { opponent, site } = parseOpponent(summary);
+      // A later copy of the same event (e.g. a RECURRENCE-ID override) wins
+      byUid.set(uid, {
+        uid,
+        summary,
+        date: start.date,
+        time: start.time,
+        opponent: opponent.slice(0, MAX_OPPONENT_LENGTH),
+        site,
+        cancelled: event.STATUS?.value.toUpperCase() === 'CANCELLED'
+      });
+    }
+  });
+
+  return { events: [...byUid.values()], skipped };
+}
+
+// Games with a score were played; an updated schedule doesn't change them
+const hasResult = game => game.teamScore != null || game.opponentScore != null;
+
+const sameOpponent = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Compare a parsed schedule with the user's games. Each change is one of
+ * add, move (new date), update (time, opponent or site), cancel, or
+ * unchanged; played games are kept as they are. Imported games missing
+ * from the file are cancelled when they fall within the file's dates.
+ * A game logged by hand on the same day against the same opponent is
+ * linked instead of duplicated, to at most one event.
+ */
+async function planGameImport(prisma, userId, events) {
+  const dates = events.map(event => event.date).sort();
+  const games = await prisma.game.findMany({
+    where: { trainingDay: { userId } },
+    include: { trainingDay: true }
+  });
+
+  const imported = new Map(games.filter(game => game.importUid).map(game => [game.importUid, game]));
+  const changes = [];
+  const matchedManual = new Set();
+
+  const describe = (action, event, game = null) => ({
+    action,
+    uid: event?.uid ?? game.importUid,
+    gameId: game?.id ?? null,
+    date: event?.date ?? toDateKey(game.trainingDay.date),
+    time: event ? event.time : game.startTime,
+    opponent: event?.opponent ?? game.opponent,
+    site: event?.site ?? game.site,
+    ...(game && event && toDateKey(game.trainingDay.date) !== event.date && {
+      previousDate: toDateKey(game.trainingDay.date)
+    })
+  });
+
+  events.forEach(event => {
+    const game = imported.get(event.uid);
+
+    if (event.cancelled) {
+      if (game) changes.push(describe(hasResult(game) ? 'kept' : 'cancel', null, game));
+      return;
+    }
+
+    if (!game) {
+      const manual = games.find(other => !other.importUid && !matchedManual.has(other.id) &&
+        toDateKey(other.trainingDay.date) === event.date &&
+        sameOpponent(other.opponent, event.opponent));
+      if (manual) matchedManual.add(manual.id);
+      changes.push(describe(manual ? 'update' : 'add', event, manual));
+      return;
+    }
+
+    if (hasResult(game)) {
+      changes.push(describe('kept', null, game));
+    } else if (toDateKey(game.trainingDay.date) !== event.date) {
+      changes.push(describe('move', event, game));
+    } else if (game.startTime !== event.time || game.opponent !== event.opponent || game.site !== event.site) {
+      changes.push(describe('update', event, game));
+    } else {
+      changes.push(describe('unchanged', event, game));
+    }
+  });
+
+  const uids = new Set(events.map(event => event.uid));
+  imported.forEach((game, uid) => {
+    const date = toDateKey(game.trainingDay.date);
+    if (uids.has(uid) || dates.length === 0 || date < dates[0] || date > dates[dates.length - 1]) return;
+    changes.push(describe(hasResult(game) ? 'kept' : 'cancel', null, game));
+  });
+
+  changes.sort((a, b) => a.date.localeCompare(b.date) || (a.time || '').localeCompare(b.time || ''));
+
+  const counts = Object.fromEntries(['add', 'move', 'update', 'cancel', 'unchanged', 'kept']
+    .map(action => [action, changes.filter(change => change.action === action).length]));
+
+  return { changes, counts };
+}
+
+/**
+ * Apply a plan from planGameImport inside a transaction. Every game day
+ * it touches is marked, and days left without a game are unmarked.
+ */
+async function applyGameImport(tx, userId, plan) {
+  for (const change of plan.changes) {
+    if (change.action === 'cancel') {
+      const game = await tx.game.delete({ where: { id: change.gameId } });
+      await clearEmptyGameDay(tx, game.trainingDayId);
+      continue;
+    }
+    if (!['add', 'move', 'update'].includes(change.action)) continue;
+
+    const trainingDay = await getOrCreateTrainingDay(tx, userId, change.date);
+    await tx.trainingDay.update({
+      where: { id: trainingDay.id },
+      data: { isGameDay: true }
+    });
+
+    const fields = {
+      opponent: change.opponent,
+      site: change.site,
+      startTime: change.time,
+      importUid: change.uid,
+      trainingDayId: trainingDay.id
+    };
+
+    if (change.action === 'add') {
+      await tx.game.create({ data: fields });
+    } else {
+      const previous = await tx.game.findUnique({ where: { id: change.gameId } });
+      await tx.game.update({ where: { id: change.gameId }, data: fields });
+      if (previous.trainingDayId !== trainingDay.id) {
+        await clearEmptyGameDay(tx, previous.trainingDayId);
+      }
+    }
+  }
+}
+
+module.exports = {
+  parseGameSchedule,
+  planGameImport,
+  applyGameImport
+};
@@ -0,0 +1,330 @@
+const { toDateKey, addDays } = require('./dates');
+const { shootingPercentage } = require('./shooting');
+
+const GAME_SITES = ['home', 'away', 'neutral'];
+
+const STAT_FIELDS = [
+  'points',
+  'fieldGoalsMade',
+  'fieldGoalsAttempted',
+  'threesMade',
+  'threesAttempted',
+  'freeThrowsMade',
+  'freeThrowsAttempted',
+  'rebounds',
+  'assists',
+  'steals',
+  'turnovers'
+];
+
+// [made, attempted] pairs that must stay in order
+const SHOT_PAIRS = [
+  ['fieldGoalsMade', 'fieldGoalsAttempted'],
+  ['threesMade', 'threesAttempted'],
+  ['freeThrowsMade', 'freeThrowsAttempted']
+];
+
+// Seasons run August through July and are named by the year they start
+const SEASON_START_MONTH = 8;
+
+// Practice shooting counted against a game: the days before it
+const PRACTICE_WINDOW_DAYS = 7;
+
+const isCount = value => Number.isInteger(value) && value >= 0;
+
+/**
+ * Validate a complete game (an existing game merged with any changes).
+ * Returns an error message or null.
+ */
+function validateGame(game) {
+  if (typeof game.opponent !== 'string' || !game.opponent.trim() || game.opponent.length > 100) {
+    return 'opponent is required (up to 100 characters)';
+  }
+  if (!GAME_SITES.includes(game.site)) {
+    return `site must be one of ${GAME_SITES.join(', ')}`;
+  }
+  for (const field of ['teamScore', 'opponentScore', 'minutes']) {
+    if (game[field] != null && !isCount(game[field])) {
+      return `${field} must be a whole number`;
+    }
+  }
+  for (const field of STAT_FIELDS) {
+    if (!isCount(game[field])) {
+      return `${field} must be a whole number`;
+    }
+  }
+  for (const [made, attempted] of SHOT_PAIRS) {
+    if (game[made] > game[attempted]) {
+      return `${made} can't be more than ${attempted}`;
+    }
+  }
+  if (game.threesMade > game.fieldGoalsMade || game.threesAttempted > game.fieldGoalsAttempted) {
+    return 'Field goals include threes, so they can\'t be fewer than threes';
+  }
+  return null;
+}
+
+/**
+ * Game fields from a request body, with defaults for a new game
+ */
+function toGameFields(body, existing = null) {
+  const fields = {
+    opponent: existing?.opponent,
+    site: existing?.site ?? 'home',
+    teamScore: existing?.teamScore ?? null,
+    opponentScore: existing?.opponentScore ?? null,
+    minutes: existing?.minutes ?? null
+  };
+  STAT_FIELDS.forEach(field => {
+    fields[field] = existing?.[field] ?? 0;
+  });
+
+  Object.keys(fields).forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (typeof fields.opponent === 'string') fields.opponent = fields.opponent.trim();
+
+  return fields;
+}
+
+function gameResult(game) {
+  if (game.teamScore == null || game.opponentScore == null) return null;
+  if (game.teamScore > game.opponentScore) return 'W';
+  if (game.teamScore < game.opponentScore) return 'L';
+  return 'T';
+}
+
+function percentages(stats) {
+  return {
+    fieldGoal: shootingPercentage(stats.fieldGoalsMade, stats.fieldGoalsAttempted),
+    three: shootingPercentage(stats.threesMade, stats.threesAttempted),
+    freeThrow: shootingPercentage(stats.freeThrowsMade, stats.freeThrowsAttempted)
+  };
+}
+
+/**
+ * A training day stops being a game day when its last game is removed
+ */
+async function clearEmptyGameDay(tx, trainingDayId) {
+  const remaining = await tx.game.count({ where: { trainingDayId } });
+  if (remaining === 0) {
+    await tx.trainingDay.update({
+      where: { id: trainingDayId },
+      data: { isGameDay: false }
+    });
+  }
+}
+
+/**
+ * Format a game for API response. Needs trainingDay loaded.
+ */
+function formatGame(game) {
+  const stats = Object.fromEntries(STAT_FIELDS.map(field => [field, game[field]]));
+
+  return {
+    id: game.id,
+    date: toDateKey(game.trainingDay.date),
+    opponent: game.opponent,
+    site: game.site,
+    startTime: game.startTime,
+    imported: Boolean(game.importUid),
+    teamScore: game.teamScore,
+    opponentScore: game.opponentScore,
+    result: gameResult(game),
+    minutes: game.minutes,
+    stats,
+    percentages: percentages(stats)
+  };
+}
+
+/**
+ * Record, totals, per-game averages and shooting percentages for a list
+ * of games
+ */
+function summarizeGames(games) {
+  const totals = Object.fromEntries(STAT_FIELDS.map(field => [
+    field,
+    games.reduce((sum, game) => sum + game[field], 0)
+  ]));
+
+  const averageOf = (values) => values.length > 0
+    ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10
+    : null;
+
+  const averages = Object.fromEntries(STAT_FIELDS.map(field => [
+    field,
+    averageOf(games.map(game => game[field]))
+  ]));
+  averages.minutes = averageOf(games.filter(game => game.minutes != null).map(game => game.minutes));
+
+  const results = games.map(gameResult);
+
+  return {
+    games: games.length,
+    record: {
+      wins: results.filter(result => result === 'W').length,
+      losses: results.filter(result => result === 'L').length,
+      ties: results.filter(result => result === 'T').length
+    },
+    totals,
+    averages,
+    percentages: percentages(totals)
+  };
+}
+
+/**
+ * Date range of the season containing a YYYY-MM-DD date, or of the season
+ * starting in a given year
+ */
+function getSeason({ date, year }) {
+  const startYear = year ?? (Number(date.slice(5, 7)) >= SEASON_START_MONTH
+    ? Number(date.slice(0, 4))
+    : Number(date.slice(0, 4)) - 1);
+  const month = String(SEASON_START_MONTH).padStart(2, '0');
+
+  return {
+    season: `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`,
+    start: `${startYear}-${month}-01`,
+    end: addDays(`${startYear + 1}-${month}-01`, -1)
+  };
+}
+
+/**
+ * A user's games between two dates, oldest first, with their training day
+ */
+async function getGames(prisma, userId, start, end) {
+  return prisma.game.findMany({
+    where: {
+      trainingDay: {
+        userId,
+        date: {
+          gte: new Date(start + 'T00:00:00.000Z'),
+          lte: new Date(end + 'T00:00:00.000Z')
+        }
+      }
+    },
+    include: { trainingDay: true },
+    orderBy: [{ trainingDay: { date: 'asc' } }, { createdAt: 'asc' }]
+  });
+}
+
+/**
+ * Pearson correlation of two equal-length lists; null with fewer than 3
+ * points or no spread
+ */
+function correlation(xs, ys) {
+  if (xs.length < 3) return null;
+
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const mx = mean(xs);
+  const my = mean(ys);
+
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - mx) * (ys[i] - my);
+    varianceX += (x - mx) ** 2;
+    varianceY += (ys[i] - my) ** 2;
+  });
+
+  if (varianceX === 0 || varianceY === 0) return null;
+  return Math.round((covariance / Math.sqrt(varianceX * varianceY)) * 100) / 100;
+}
+
+/**
+ * Each game's shooting next to the practice shooting in the week before
+ * it, and how strongly practice makes track game field goal percentage
+ */
+async function getPracticeCorrelation(prisma, userId, start, end) {
+  const games = await getGames(prisma, userId, start, end);
+
+  const practice = await prisma.actualActivity.findMany({
+    where: {
+      type: 'shooting',
+      trainingDay: {
+        userId,
+        date: {
+          gte: new Date(addDays(start, -PRACTICE_WINDOW_DAYS) + 'T00:00:00.000Z'),
+          lt: new Date(end + 'T00:00:00.000Z')
+        }
+      }
+    },
+    select: {
+      shootingMakes: true,
+      shootingSets: { select: { makes: true, attempts: true } },
+      trainingDay: { select: { date: true } }
+    }
+  });
+
+  const practiceByDate = new Map(practice.map(activity => [toDateKey(activity.trainingDay.date), activity]));
+
+  const rows = games.map(game => {
+    const date = toDateKey(game.trainingDay.date);
+    let makes = 0;
+    let setMakes = 0;
+    let setAttempts = 0;
+    let shootingDays = 0;
+
+    for (let i = 1; i <= PRACTICE_WINDOW_DAYS; i++) {
+      const activity = practiceByDate.get(addDays(date, -i));
+      if (!activity || !activity.shootingMakes) continue;
+
+      shootingDays++;
+      makes += activity.shootingMakes;
+      activity.shootingSets.forEach(set => {
+        setMakes += set.makes;
+        setAttempts += set.attempts || 0;
+      });
+    }
+
+    return {
+      gameId: game.id,
+      date,
+      opponent: game.opponent,
+      practice: {
+        makes,
+        shootingDays,
+        percentage: shootingPercentage(setMakes, setAttempts)
+      },
+      game: {
+        points: game.points,
+        fieldGoalsAttempted: game.fieldGoalsAttempted,
+        ...percentages(game)
+      }
+    };
+  });
+
+  // Games without field goal attempts say nothing about shooting
+  const shooting = rows.filter(row => row.game.fieldGoalsAttempted > 0);
+
+  return {
+    start,
+    end,
+    practiceWindowDays: PRACTICE_WINDOW_DAYS,
+    games: rows,
+    correlation: {
+      makesToFieldGoalPercentage: correlation(
+        shooting.map(row => row.practice.makes),
+        shooting.map(row => row.game.fieldGoal)
+      ),
+      makesToPoints: correlation(
+        rows.map(row => row.practice.makes),
+        rows.map(row => row.game.points)
+      )
+    }
+  };
+}
+
+module.exports = {
+  GAME_SITES,
+  STAT_FIELDS,
+  validateGame,
+  toGameFields,
+  clearEmptyGameDay,
+  formatGame,
+  summarizeGames,
+  getSeason,
+  getGames,
+  getPracticeCorrelation
+};
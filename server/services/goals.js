@@ -0,0 +1,91 @@
+const { toDateKey } = require('./dates');
+
+const DEFAULT_SHOOTING_GOAL = 200;
+
+/**
+ * Get a user's goal history, oldest first
+ */
+async function getGoalHistory(prisma, userId) {
+  return prisma.shootingGoal.findMany({
+    where: { userId },
+    orderBy: { effectiveFrom: 'asc' }
+  });
+}
+
+/**
+ * Resolve the shooting goal for a training day from the goal history.
+ * A per-day override wins, then the game day goal, then the daily goal
+ * that was in effect on that date.
+ */
+function resolveGoal(goalHistory, trainingDay) {
+  if (trainingDay?.shootingGoal != null) {
+    return trainingDay.shootingGoal;
+  }
+
+  const dateStr = toDateKey(trainingDay.date);
+  let goal = null;
+
+  for (const entry of goalHistory) {
+    if (toDateKey(entry.effectiveFrom) > dateStr) break;
+    goal = entry;
+  }
+
+  if (!goal) return DEFAULT_SHOOTING_GOAL;
+
+  if (trainingDay.isGameDay && goal.gameDayMakes != null) {
+    return goal.gameDayMakes;
+  }
+
+  return goal.makes;
+}
+
+/**
+ * Get the shooting goal effective for a user on a date
+ */
+async function getEffectiveGoal(prisma, userId, trainingDay) {
+  const goalHistory = await getGoalHistory(prisma, userId);
+  return resolveGoal(goalHistory, trainingDay);
+}
+
+/**
+ * Set a user's daily goal starting from a date. Earlier days keep the
+ * goal that applied to them.
+ */
+async function setGoal(prisma, userId, { makes, gameDayMakes, effectiveFrom }) {
+  const dateObj = new Date(effectiveFrom + 'T00:00:00.000Z');
+
+  return prisma.shootingGoal.upsert({
+    where: {
+      userId_effectiveFrom: {
+        userId,
+        effectiveFrom: dateObj
+      }
+    },
+    update: {
+      makes,
+      gameDayMakes: gameDayMakes ?? null
+    },
+    create: {
+      userId,
+      makes,
+      gameDayMakes: gameDayMakes ?? null,
+      effectiveFrom: dateObj
+    }
+  });
+}
+
+/**
+ * Validate a makes goal value
+ */
+function isValidGoal(value) {
+  return Number.isInteger(value) && value > 0 && value <= 10000;
+}
+
+module.exports = {
+  DEFAULT_SHOOTING_GOAL,
+  getGoalHistory,
+  resolveGoal,
+  getEffectiveGoal,
+  setGoal,
+  isValidGoal
+};
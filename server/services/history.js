@@ -0,0 +1,295 @@
+const crypto = require('crypto');
+const { getOrCreateTrainingDay } = require('./training');
+const { toDateKey } = require('./dates');
+
+const MAX_DEVICE_LENGTH = 255;
+
+// History entries kept per request: enough for the day view
+const HISTORY_LIMIT = 200;
+
+const PLANNED_FIELDS = ['type', 'plannedTime', 'location', 'name', 'drillId', 'assignedById'];
+const ACTUAL_FIELDS = [
+  'type', 'completedAt', 'shootingMakes', 'plannedActivityId', 'drillId',
+  'durationMinutes', 'rpe', 'sets', 'reps'
+];
+
+/**
+ * Who is making a change. `userId` owns the training days; a coach
+ * assigning work passes the athlete's id and is recorded as changedById.
+ */
+function changeContext(req, userId = req.user.userId) {
+  return {
+    userId,
+    changedById: req.user.userId,
+    sessionId: req.user.sessionId || null,
+    device: (req.get('user-agent') || '').slice(0, MAX_DEVICE_LENGTH) || null
+  };
+}
+
+function pick(row, fields) {
+  return Object.fromEntries(fields.map(field => [field, row[field] ?? null]));
+}
+
+function snapshotPlanned(activity) {
+  return pick(activity, PLANNED_FIELDS);
+}
+
+function snapshotActual(activity) {
+  return {
+    ...pick(activity, ACTUAL_FIELDS),
+    shootingSets: [...(activity.shootingSets || [])]
+      .sort((a, b) => a.id.localeCompare(b.id))
+      .map(set => ({
+        id: set.id,
+        zone: set.zone,
+        makes: set.makes,
+        attempts: set.attempts,
+        createdAt: new Date(set.createdAt).toISOString()
+      }))
+  };
+}
+
+/**
+ * JSON with sorted keys. Snapshots come back from jsonb with their keys
+ * reordered, so plain JSON.stringify can't compare them.
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Every planned and actual activity on a user's days, keyed by
+ * entity and id
+ */
+async function snapshotDays(prisma, userId, dates) {
+  const trainingDays = await prisma.trainingDay.findMany({
+    where: {
+      userId,
+      date: { in: dates.map(date => new Date(date + 'T00:00:00.000Z')) }
+    },
+    include: {
+      plannedActivities: true,
+      actualActivities: { include: { shootingSets: true } }
+    }
+  });
+
+  const rows = new Map();
+  trainingDays.forEach(day => {
+    const date = toDateKey(day.date);
+    day.plannedActivities.forEach(activity => {
+      rows.set(`planned:${activity.id}`, { entity: 'planned', id: activity.id, date, snapshot: snapshotPlanned(activity) });
+    });
+    day.actualActivities.forEach(activity => {
+      rows.set(`actual:${activity.id}`, { entity: 'actual', id: activity.id, date, snapshot: snapshotActual(activity) });
+    });
+  });
+  return rows;
+}
+
+/**
+ * Start recording changes to activities on some days. Call before the
+ * writes; `finish()` compares the days again, appends an entry for every
+ * row that was created, updated or deleted (including knock-on changes
+ * like plan links and re-derived shooting totals) and returns the batch
+ * id, or null if nothing changed. Only planned and actual activities are
+ * tracked: games, game-day flags, goals and journals (including the
+ * game schedule import, which writes nothing else) are not.
+ */
+async function trackChanges(prisma, context, dates, { undoOfBatchId = null } = {}) {
+  const uniqueDates = [...new Set(dates)];
+  const before = await snapshotDays(prisma, context.userId, uniqueDates);
+
+  return {
+    async finish() {
+      const after = await snapshotDays(prisma, context.userId, uniqueDates);
+      const batchId = crypto.randomUUID();
+      const entries = [];
+
+      new Set([...before.keys(), ...after.keys()]).forEach(key => {
+        const old = before.get(key);
+        const current = after.get(key);
+        if (old && current && stableStringify(old.snapshot) === stableStringify(current.snapshot)) return;
+
+        const row = current || old;
+        entries.push({
+          userId: context.userId,
+          batchId,
+          date: new Date(row.date + 'T00:00:00.000Z'),
+          entity: row.entity,
+          entityId: row.id,
+          action: !old ? 'create' : !current ? 'delete' : 'update',
+          before: old ? old.snapshot : undefined,
+          after: current ? current.snapshot : undefined,
+          changedById: context.changedById ?? context.userId,
+          sessionId: context.sessionId ?? null,
+          device: context.device ?? null,
+          undoOfBatchId
+        });
+      });
+
+      if (entries.length === 0) return null;
+
+      await prisma.activityHistory.createMany({ data: entries });
+      return batchId;
+    }
+  };
+}
+
+/**
+ * Format a day's history for API response: one item per batch, newest
+ * first, each saying whether it has been undone
+ */
+function formatHistory(entries, undoneBatchIds, currentSessionId = null) {
+  const batches = new Map();
+
+  entries.forEach(entry => {
+    if (!batches.has(entry.batchId)) {
+      batches.set(entry.batchId, {
+        batchId: entry.batchId,
+        createdAt: entry.createdAt,
+        changedById: entry.changedById,
+        device: entry.device,
+        thisDevice: Boolean(currentSessionId) && entry.sessionId === currentSessionId,
+        undoOf: entry.undoOfBatchId,
+        undone: undoneBatchIds.has(entry.batchId),
+        changes: []
+      });
+    }
+    batches.get(entry.batchId).changes.push({
+      entity: entry.entity,
+      entityId: entry.entityId,
+      action: entry.action,
+      type: (entry.after || entry.before).type,
+      before: entry.before,
+      after: entry.after
+    });
+  });
+
+  return [...batches.values()];
+}
+
+/**
+ * A day's history, newest first
+ */
+async function getDayHistory(prisma, userId, date, currentSessionId = null) {
+  const entries = await prisma.activityHistory.findMany({
+    where: { userId, date: new Date(date + 'T00:00:00.000Z') },
+    orderBy: { createdAt: 'desc' },
+    take: HISTORY_LIMIT
+  });
+
+  const undone = await prisma.activityHistory.findMany({
+    where: { undoOfBatchId: { in: [...new Set(entries.map(entry => entry.batchId))] } },
+    select: { undoOfBatchId: true },
+    distinct: ['undoOfBatchId']
+  });
+
+  return formatHistory(entries, new Set(undone.map(entry => entry.undoOfBatchId)), currentSessionId);
+}
+
+/**
+ * Put a row back the way a snapshot describes it. Links to drills or
+ * plans that are gone (or now taken) are dropped rather than failing.
+ */
+async function restoreRow(prisma, userId, entry) {
+  const { entity, entityId: id, action } = entry;
+  const snapshot = entry.before;
+  const model = entity === 'planned' ? prisma.plannedActivity : prisma.actualActivity;
+
+  if (action === 'create') {
+    await model.delete({ where: { id } });
+    return;
+  }
+
+  const fields = pick(snapshot, entity === 'planned' ? PLANNED_FIELDS : ACTUAL_FIELDS);
+  if (fields.drillId && !(await prisma.drill.findUnique({ where: { id: fields.drillId } }))) {
+    fields.drillId = null;
+  }
+  if (entity === 'actual' && fields.plannedActivityId) {
+    const planned = await prisma.plannedActivity.findUnique({
+      where: { id: fields.plannedActivityId },
+      include: { completion: true }
+    });
+    if (!planned || (planned.completion && planned.completion.id !== id)) fields.plannedActivityId = null;
+  }
+
+  if (action === 'delete') {
+    const trainingDay = await getOrCreateTrainingDay(prisma, userId, toDateKey(entry.date));
+    await model.create({ data: { id, trainingDayId: trainingDay.id, ...fields } });
+  } else {
+    await model.update({ where: { id }, data: fields });
+  }
+
+  if (entity === 'actual') {
+    await prisma.shootingSet.deleteMany({ where: { actualActivityId: id } });
+    if (snapshot.shootingSets.length > 0) {
+      await prisma.shootingSet.createMany({
+        data: snapshot.shootingSets.map(set => ({ ...set, actualActivityId: id }))
+      });
+    }
+  }
+}
+
+// Deletes go first so links are free, and plans exist before the
+// completions that point at them
+const RESTORE_ORDER = [
+  ['actual', 'create'],
+  ['planned', 'create'],
+  ['planned', 'delete'],
+  ['planned', 'update'],
+  ['actual', 'delete'],
+  ['actual', 'update']
+];
+
+/**
+ * Undo a batch of changes. With `date`, the batch must have touched that
+ * day. Refuses (409) if it was already undone or any row has changed
+ * since, so a later edit is never silently lost. The undo is itself
+ * recorded as a new batch, which is returned.
+ */
+async function undoBatch(prisma, context, batchId, date = null) {
+  const entries = await prisma.activityHistory.findMany({
+    where: { batchId, userId: context.userId }
+  });
+  if (entries.length === 0 || (date && !entries.some(entry => toDateKey(entry.date) === date))) {
+    return { error: 'Change not found', status: 404 };
+  }
+
+  const alreadyUndone = await prisma.activityHistory.findFirst({
+    where: { undoOfBatchId: batchId }
+  });
+  if (alreadyUndone) {
+    return { error: 'This change was already undone', status: 409 };
+  }
+
+  const dates = [...new Set(entries.map(entry => toDateKey(entry.date)))];
+  const current = await snapshotDays(prisma, context.userId, dates);
+  const changedSince = entries.some(entry => {
+    const row = current.get(`${entry.entity}:${entry.entityId}`);
+    return stableStringify(row ? row.snapshot : null) !== stableStringify(entry.after);
+  });
+  if (changedSince) {
+    return { error: 'This has been changed again since. Undo the newer change first.', status: 409 };
+  }
+
+  const tracker = await trackChanges(prisma, context, dates, { undoOfBatchId: batchId });
+  for (const [entity, action] of RESTORE_ORDER) {
+    for (const entry of entries.filter(e => e.entity === entity && e.action === action)) {
+      await restoreRow(prisma, context.userId, entry);
+    }
+  }
+  const undoBatchId = await tracker.finish();
+
+  return { dates, batchId: undoBatchId };
+}
+
+module.exports = {
+  changeContext,
+  trackChanges,
+  getDayHistory,
+  undoBatch
+};
@@ -0,0 +1,266 @@
+const { getGoalHistory, resolveGoal } = require('./goals');
+const { findCompletion } = require('./adherence');
+const { toDateKey } = require('./dates');
+
+const MAX_NOTES_LENGTH = 5000;
+const MAX_SLEEP_HOURS = 24;
+
+// Check-in fields rated on a 1-5 scale
+const WELLNESS_SCALES = ['soreness', 'energy', 'mood'];
+const SCALE_MIN = 1;
+const SCALE_MAX = 5;
+
+const WELLNESS_METRICS = ['sleepHours', ...WELLNESS_SCALES];
+
+const METRIC_LABELS = {
+  sleepHours: 'sleep',
+  soreness: 'soreness',
+  energy: 'energy',
+  mood: 'mood'
+};
+
+// Days compared as "low" and "high" for each metric. Under 7 hours is a
+// short night; 1-2 and 4-5 are the ends of a 1-5 scale.
+const LOW_HIGH = {
+  sleepHours: { low: value => value < 7, high: value => value >= 7 },
+  soreness: { low: value => value <= 2, high: value => value >= 4 },
+  energy: { low: value => value <= 2, high: value => value >= 4 },
+  mood: { low: value => value <= 2, high: value => value >= 4 }
+};
+
+// Fewer paired days than this and a correlation is mostly noise
+const MIN_SAMPLES = 5;
+
+// Correlations at least this strong (either direction) become insights
+const INSIGHT_THRESHOLD = 0.3;
+
+/**
+ * Validate a journal update: { notes, wellness: { sleepHours, soreness,
+ * energy, mood } }. Undefined leaves a field alone; null clears it.
+ * Returns an error message or null.
+ */
+function validateJournal({ notes, wellness }) {
+  if (notes != null && (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH)) {
+    return `notes must be text (up to ${MAX_NOTES_LENGTH} characters)`;
+  }
+  if (wellness == null) return null;
+
+  if (typeof wellness !== 'object' || Array.isArray(wellness)) {
+    return 'wellness must be an object';
+  }
+  const { sleepHours } = wellness;
+  if (sleepHours != null &&
+      (typeof sleepHours !== 'number' || !Number.isFinite(sleepHours) || sleepHours < 0 || sleepHours > MAX_SLEEP_HOURS)) {
+    return `sleepHours must be a number from 0 to ${MAX_SLEEP_HOURS}`;
+  }
+  for (const field of WELLNESS_SCALES) {
+    const value = wellness[field];
+    if (value != null && (!Number.isInteger(value) || value < SCALE_MIN || value > SCALE_MAX)) {
+      return `${field} must be a whole number from ${SCALE_MIN} to ${SCALE_MAX}`;
+    }
+  }
+  return null;
+}
+
+function formatWellness(wellness) {
+  if (!wellness) return null;
+  return {
+    sleepHours: wellness.sleepHours,
+    soreness: wellness.soreness,
+    energy: wellness.energy,
+    mood: wellness.mood,
+    updatedAt: wellness.updatedAt
+  };
+}
+
+/**
+ * Apply a validated journal update to a training day (loaded with its
+ * wellness check-in). A check-in with every field cleared is removed.
+ * Returns whether anything changed.
+ */
+async function saveJournal(prisma, trainingDay, { notes, wellness }) {
+  let changed = false;
+
+  if (notes !== undefined) {
+    const value = notes && notes.trim() ? notes : null;
+    if (value !== trainingDay.notes) {
+      await prisma.trainingDay.update({
+        where: { id: trainingDay.id },
+        data: { notes: value }
+      });
+      changed = true;
+    }
+  }
+
+  if (wellness === undefined) return changed;
+
+  const existing = trainingDay.wellness;
+  const fields = Object.fromEntries(WELLNESS_METRICS.map(field => [
+    field,
+    wellness === null || wellness[field] === null ? null : wellness[field] ?? existing?.[field] ?? null
+  ]));
+
+  if (WELLNESS_METRICS.every(field => fields[field] === null)) {
+    if (existing) {
+      await prisma.wellnessCheckIn.delete({ where: { id: existing.id } });
+      changed = true;
+    }
+    return changed;
+  }
+
+  if (existing && WELLNESS_METRICS.every(field => fields[field] === existing[field])) {
+    return changed;
+  }
+
+  await prisma.wellnessCheckIn.upsert({
+    where: { trainingDayId: trainingDay.id },
+    create: { trainingDayId: trainingDay.id, ...fields },
+    update: fields
+  });
+  return true;
+}
+
+/**
+ * Pearson correlation of paired values, or null with too few pairs or no
+ * variation in either series
+ */
+function correlation(pairs) {
+  if (pairs.length < MIN_SAMPLES) return null;
+
+  const n = pairs.length;
+  const meanX = pairs.reduce((sum, [x]) => sum + x, 0) / n;
+  const meanY = pairs.reduce((sum, [, y]) => sum + y, 0) / n;
+
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  pairs.forEach(([x, y]) => {
+    covariance += (x - meanX) * (y - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (y - meanY) ** 2;
+  });
+
+  if (varianceX === 0 || varianceY === 0) return null;
+  return Math.round((covariance / Math.sqrt(varianceX * varianceY)) * 100) / 100;
+}
+
+function average(values) {
+  if (values.length === 0) return null;
+  return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10;
+}
+
+/**
+ * Averages of the outcomes over a group of days
+ */
+function summarizeGroup(days) {
+  const planned = days.filter(day => day.completionRate !== null);
+  return {
+    days: days.length,
+    averageMakes: average(days.map(day => day.makes)),
+    goalRate: days.length > 0 ? Math.round((days.filter(day => day.goalMet).length / days.length) * 100) : null,
+    completionRate: planned.length > 0 ? Math.round(average(planned.map(day => day.completionRate))) : null
+  };
+}
+
+function describeInsight(metric, outcome, r) {
+  const outcomes = {
+    makes: 'you make more shots',
+    goalMet: 'you hit your shooting goal more often',
+    completionRate: 'you complete more of your plan'
+  };
+  const more = metric === 'soreness' ? 'more sore' : `more ${METRIC_LABELS[metric]}`;
+  const less = metric === 'soreness' ? 'less sore' : `less ${METRIC_LABELS[metric]}`;
+
+  return `On days with ${r > 0 ? more : less}, ${outcomes[outcome]} (r = ${r})`;
+}
+
+/**
+ * How check-ins line up with training between two YYYY-MM-DD dates. For
+ * each metric: correlation with makes, goal completion and plan
+ * completion, and the same outcomes on low vs high days. Only days with
+ * a check-in count.
+ */
+async function getWellnessCorrelation(prisma, userId, start, end) {
+  const [trainingDays, goalHistory] = await Promise.all([
+    prisma.trainingDay.findMany({
+      where: {
+        userId,
+        wellness: { isNot: null },
+        date: {
+          gte: new Date(start + 'T00:00:00.000Z'),
+          lte: new Date(end + 'T00:00:00.000Z')
+        }
+      },
+      include: {
+        wellness: true,
+        plannedActivities: true,
+        actualActivities: true
+      },
+      orderBy: { date: 'asc' }
+    }),
+    getGoalHistory(prisma, userId)
+  ]);
+
+  const days = trainingDays.map(day => {
+    const makes = day.actualActivities
+      .filter(activity => activity.type === 'shooting')
+      .reduce((sum, activity) => sum + (activity.shootingMakes || 0), 0);
+    const goal = resolveGoal(goalHistory, day);
+    const completed = day.plannedActivities
+      .filter(planned => findCompletion(planned, day.actualActivities)).length;
+
+    return {
+      date: toDateKey(day.date),
+      ...formatWellness(day.wellness),
+      makes,
+      goal,
+      goalMet: makes >= goal,
+      planned: day.plannedActivities.length,
+      completed,
+      completionRate: day.plannedActivities.length > 0
+        ? Math.round((completed / day.plannedActivities.length) * 100)
+        : null
+    };
+  });
+
+  const insights = [];
+  const metrics = WELLNESS_METRICS.map(metric => {
+    const rated = days.filter(day => day[metric] !== null);
+    const pairsFor = outcome => rated
+      .filter(day => day[outcome] !== null)
+      .map(day => [day[metric], outcome === 'goalMet' ? Number(day.goalMet) : day[outcome]]);
+
+    const correlations = {
+      makes: correlation(pairsFor('makes')),
+      goalMet: correlation(pairsFor('goalMet')),
+      completionRate: correlation(pairsFor('completionRate'))
+    };
+
+    Object.entries(correlations).forEach(([outcome, r]) => {
+      if (r !== null && Math.abs(r) >= INSIGHT_THRESHOLD) {
+        insights.push({ metric, outcome, r, message: describeInsight(metric, outcome, r) });
+      }
+    });
+
+    return {
+      metric,
+      samples: rated.length,
+      average: average(rated.map(day => day[metric])),
+      correlations,
+      low: summarizeGroup(rated.filter(day => LOW_HIGH[metric].low(day[metric]))),
+      high: summarizeGroup(rated.filter(day => LOW_HIGH[metric].high(day[metric])))
+    };
+  });
+
+  insights.sort((a, b) => Math.abs(b.r) - Math.abs(a.r));
+
+  return { start, end, days, metrics, insights };
+}
+
+module.exports = {
+  WELLNESS_SCALES,
+  validateJournal,
+  formatWellness,
+  saveJournal,
+  getWellnessCorrelation
+};
@@ -0,0 +1,217 @@
+const { toDateKey, addDays, todayInTimeZone, DEFAULT_TIME_ZONE } = require('./dates');
+
+// Session RPE on the CR-10 scale: 1 = very easy, 10 = maximal
+const RPE_MIN = 1;
+const RPE_MAX = 10;
+const MAX_SESSION_MINUTES = 480;
+
+// Acute:chronic workload ratio windows
+const ACUTE_DAYS = 7;
+const CHRONIC_DAYS = 28;
+
+// Ratio bands: below LOW is detraining, above CAUTION load is climbing
+// fast, above SPIKE injury risk is high
+const LOW_RATIO = 0.8;
+const CAUTION_RATIO = 1.3;
+const SPIKE_RATIO = 1.5;
+
+// How far ahead to look for a game when load is high
+const GAME_LOOKAHEAD_DAYS = 3;
+
+// Days of ratio history returned for the trend chart
+const TREND_DAYS = 14;
+
+/**
+ * Validate the duration and RPE logged with a session. Either may be
+ * left out; null clears it. Returns an error message or null.
+ */
+function validateSessionLoad({ durationMinutes, rpe }) {
+  if (durationMinutes != null &&
+      (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_SESSION_MINUTES)) {
+    return `durationMinutes must be a whole number from 1 to ${MAX_SESSION_MINUTES}`;
+  }
+  if (rpe != null && (!Number.isInteger(rpe) || rpe < RPE_MIN || rpe > RPE_MAX)) {
+    return `rpe must be a whole number from ${RPE_MIN} to ${RPE_MAX}`;
+  }
+  return null;
+}
+
+/**
+ * Session load in arbitrary units (minutes × RPE), or null until both
+ * have been logged
+ */
+function sessionLoad(activity) {
+  if (activity.durationMinutes == null || activity.rpe == null) return null;
+  return activity.durationMinutes * activity.rpe;
+}
+
+/**
+ * Load, minutes and session counts per day between two YYYY-MM-DD dates,
+ * every day included, oldest first. Unrated sessions count toward
+ * sessions and minutes but add no load.
+ */
+async function getDailyLoads(prisma, userId, start, end) {
+  const activities = await prisma.actualActivity.findMany({
+    where: {
+      trainingDay: {
+        userId,
+        date: {
+          gte: new Date(start + 'T00:00:00.000Z'),
+          lte: new Date(end + 'T00:00:00.000Z')
+        }
+      }
+    },
+    select: {
+      durationMinutes: true,
+      rpe: true,
+      trainingDay: { select: { date: true } }
+    }
+  });
+
+  const days = new Map();
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    days.set(date, { date, load: 0, minutes: 0, sessions: 0, unrated: 0 });
+  }
+
+  activities.forEach(activity => {
+    const day = days.get(toDateKey(activity.trainingDay.date));
+    const load = sessionLoad(activity);
+
+    day.sessions++;
+    day.minutes += activity.durationMinutes || 0;
+    if (load === null) {
+      day.unrated++;
+    } else {
+      day.load += load;
+    }
+  });
+
+  return [...days.values()];
+}
+
+/**
+ * Acute (last 7 days) and chronic (weekly average of the last 28 days)
+ * load for the window ending at index `endIndex` of `days`
+ */
+function workloadAt(days, endIndex) {
+  const sum = (from, to) => days.slice(from, to + 1).reduce((total, day) => total + day.load, 0);
+
+  const acute = sum(endIndex - ACUTE_DAYS + 1, endIndex);
+  const chronic = sum(endIndex - CHRONIC_DAYS + 1, endIndex) / (CHRONIC_DAYS / ACUTE_DAYS);
+
+  // Without load before this week the ratio only compares the week to itself
+  const baseline = sum(endIndex - CHRONIC_DAYS + 1, endIndex - ACUTE_DAYS);
+
+  return {
+    acute,
+    chronic: Math.round(chronic),
+    ratio: baseline > 0 ? Math.round((acute / chronic) * 100) / 100 : null
+  };
+}
+
+function ratioStatus(ratio) {
+  if (ratio === null) return null;
+  if (ratio >= SPIKE_RATIO) return 'spike';
+  if (ratio >= CAUTION_RATIO) return 'caution';
+  if (ratio < LOW_RATIO) return 'low';
+  return 'optimal';
+}
+
+/**
+ * Training load as of a date (default today in the user's time zone):
+ * acute vs chronic workload, the ratio between them, warnings, daily
+ * loads for the chronic window and a short ratio trend
+ */
+async function getLoadStats(prisma, userId, timeZone = DEFAULT_TIME_ZONE, date = null) {
+  const end = date || todayInTimeZone(timeZone);
+  const start = addDays(end, -(CHRONIC_DAYS + TREND_DAYS - 2));
+
+  const [days, nextGame] = await Promise.all([
+    getDailyLoads(prisma, userId, start, end),
+    prisma.trainingDay.findFirst({
+      where: {
+        userId,
+        isGameDay: true,
+        date: {
+          gte: new Date(end + 'T00:00:00.000Z'),
+          lte: new Date(addDays(end, GAME_LOOKAHEAD_DAYS) + 'T00:00:00.000Z')
+        }
+      },
+      orderBy: { date: 'asc' },
+      select: { date: true }
+    })
+  ]);
+
+  const last = days.length - 1;
+  const { acute, chronic, ratio } = workloadAt(days, last);
+  const status = ratioStatus(ratio);
+  const recent = days.slice(-ACUTE_DAYS);
+  const unrated = recent.reduce((total, day) => total + day.unrated, 0);
+
+  const warnings = [];
+  if (status === 'spike') {
+    warnings.push({
+      code: 'spike',
+      message: `This week's load is ${ratio}× your 4-week average. Injury risk is high; ease off.`
+    });
+  } else if (status === 'caution') {
+    warnings.push({
+      code: 'rising',
+      message: `This week's load is ${ratio}× your 4-week average. Build up more gradually.`
+    });
+  } else if (status === 'low') {
+    warnings.push({
+      code: 'low',
+      message: 'Load is well below your 4-week average. Ramp back up gradually to avoid a spike.'
+    });
+  }
+
+  const gameDate = nextGame ? toDateKey(nextGame.date) : null;
+  if (gameDate && (status === 'spike' || status === 'caution')) {
+    const inDays = Math.round((new Date(gameDate) - new Date(end)) / 86400000);
+    warnings.push({
+      code: 'game_soon',
+      message: inDays === 0
+        ? 'Game today with load elevated. Keep warm-ups light.'
+        : `Game in ${inDays} ${inDays === 1 ? 'day' : 'days'} with load elevated. Keep sessions light until then.`
+    });
+  }
+
+  if (unrated > 0) {
+    warnings.push({
+      code: 'unrated',
+      message: `${unrated} ${unrated === 1 ? 'session' : 'sessions'} in the last 7 days ${unrated === 1 ? 'has' : 'have'} no duration or RPE, so load is understated.`
+    });
+  }
+
+  if (ratio === null && acute > 0) {
+    warnings.push({
+      code: 'baseline',
+      message: 'Keep rating sessions: the ratio needs load from before this week to compare against.'
+    });
+  }
+
+  return {
+    date: end,
+    acute: { days: ACUTE_DAYS, load: acute },
+    chronic: { days: CHRONIC_DAYS, weeklyLoad: chronic },
+    ratio,
+    status,
+    nextGame: gameDate,
+    warnings,
+    days: days.slice(-CHRONIC_DAYS),
+    trend: days.slice(-TREND_DAYS).map((day, i) => ({
+      date: day.date,
+      ratio: workloadAt(days, last - TREND_DAYS + 1 + i).ratio
+    }))
+  };
+}
+
+module.exports = {
+  RPE_MIN,
+  RPE_MAX,
+  validateSessionLoad,
+  sessionLoad,
+  getDailyLoads,
+  getLoadStats
+};
@@ -0,0 +1,149 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Mail transports share one method:
+ *
+ *   send({ to, subject, text }) -> Promise<void>
+ */
+
+/**
+ * Sends through an SMTP server
+ */
+function createSmtpTransport({ host, port, secure, user, pass, from }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send({ to, subject, text }) {
+      await transporter.sendMail({ from, to, subject, text });
+    }
+  };
+}
+
+/**
+ * Writes each message to a .txt file in `dir`, for testing without a mail server
+ */
+function createFileTransport(dir) {
+  return {
+    name: 'file',
+    dir,
+    async send({ to, subject, text }) {
+      await fs.mkdir(dir, { recursive: true });
+      const filename = `${new Date().toISOString().replace(/[:.]/g, '-')}-${to.replace(/[^a-z0-9@.-]/gi, '_')}.txt`;
+      await fs.writeFile(path.join(dir, filename), `To: ${to}\nSubject: ${subject}\n\n${text}\n`);
+    }
+  };
+}
+
+/**
+ * Prints messages to the console
+ */
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send({ to, subject, text }) {
+      console.log(`[mail] To: ${to}\n[mail] Subject: ${subject}\n${text}\n`);
+    }
+  };
+}
+
+const MAIL_TRANSPORTS = ['smtp', 'file', 'console'];
+
+/**
+ * Returns an error message if mail can't be delivered as configured.
+ * Production must have SMTP, or opt out of it with MAIL_TRANSPORT, so
+ * reset and verification emails aren't silently printed to the log.
+ */
+function checkMailer(env = process.env) {
+  if (env.MAIL_TRANSPORT && !MAIL_TRANSPORTS.includes(env.MAIL_TRANSPORT)) {
+    return `MAIL_TRANSPORT must be one of ${MAIL_TRANSPORTS.join(', ')}`;
+  }
+  if (env.MAIL_TRANSPORT === 'smtp' && !env.SMTP_HOST) {
+    return 'SMTP_HOST must be set when MAIL_TRANSPORT is smtp';
+  }
+  if (env.NODE_ENV === 'production' && !env.MAIL_TRANSPORT && !env.SMTP_HOST) {
+    return 'SMTP_HOST must be set in production (or MAIL_TRANSPORT to choose another transport)';
+  }
+  return null;
+}
+
+/**
+ * Pick a transport from the environment. MAIL_TRANSPORT is smtp, file or
+ * console; without it, SMTP is used whenever SMTP_HOST is set.
+ */
+function createMailer(env = process.env) {
+  const transport = env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'console');
+
+  if (transport === 'smtp') {
+    return createSmtpTransport({
+      host: env.SMTP_HOST,
+      port: Number(env.SMTP_PORT) || 587,
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      from: env.MAIL_FROM || 'Ethan\'s Training <no-reply@example.com>'
+    });
+  }
+
+  if (transport === 'file') {
+    return createFileTransport(env.MAIL_DIR || path.join(os.tmpdir(), 'ethan-training-mail'));
+  }
+
+  return createConsoleTransport();
+}
+
+/**
+ * Link into the web app with a token in the query string
+ */
+function appLink(param, token) {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:5500').replace(/\/$/, '');
+  return `${base}/?${param}=${encodeURIComponent(token)}`;
+}
+
+async function sendPasswordResetEmail(mailer, user, token, expiresInMinutes) {
+  await mailer.send({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Someone asked to reset the password for your training account. If it was you, open this link to choose a new one:',
+      '',
+      appLink('reset', token),
+      '',
+      `The link works once and expires in ${expiresInMinutes} minutes. If you didn't ask for this, you can ignore this email.`
+    ].join('\n')
+  });
+}
+
+async function sendVerificationEmail(mailer, user, token) {
+  await mailer.send({
+    to: user.email,
+    subject: 'Confirm your email',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Confirm your email address so you can reset your password if you ever forget it:',
+      '',
+      appLink('verify', token)
+    ].join('\n')
+  });
+}
+
+module.exports = {
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  checkMailer,
+  createMailer,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
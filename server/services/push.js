@@ -0,0 +1,134 @@
+const webpush = require('web-push');
+
+// The stub keeps only the most recent notifications
+const STUB_SENT_LIMIT = 100;
+
+/**
+ * Push senders share one method:
+ *
+ *   send(subscription, payload) -> Promise<{ ok: boolean, expired: boolean }>
+ *
+ * where subscription is { endpoint, keys: { p256dh, auth } } and payload is
+ * { title, body, tag, url }. `expired` tells the caller to drop the
+ * subscription (the browser unsubscribed).
+ */
+
+/**
+ * Sends through the Web Push protocol using VAPID keys
+ */
+function createWebPushSender({ publicKey, privateKey, subject }) {
+  webpush.setVapidDetails(subject, publicKey, privateKey);
+
+  return {
+    name: 'webpush',
+    publicKey,
+    async send(subscription, payload) {
+      try {
+        await webpush.sendNotification(subscription, JSON.stringify(payload));
+        return { ok: true, expired: false };
+      } catch (err) {
+        if (err.statusCode === 404 || err.statusCode === 410) {
+          return { ok: false, expired: true };
+        }
+        throw err;
+      }
+    }
+  };
+}
+
+/**
+ * Records the last STUB_SENT_LIMIT notifications in memory instead of
+ * sending them. Used when no VAPID keys are configured, and in local
+ * testing.
+ */
+function createStubPushSender() {
+  const sent = [];
+
+  return {
+    name: 'stub',
+    publicKey: null,
+    sent,
+    async send(subscription, payload) {
+      sent.push({ endpoint: subscription.endpoint, payload, sentAt: new Date() });
+      if (sent.length > STUB_SENT_LIMIT) sent.shift();
+      console.log(`[push:stub] ${payload.title} - ${payload.body}`);
+      return { ok: true, expired: false };
+    }
+  };
+}
+
+/**
+ * Returns an error message if push can't be delivered as configured.
+ * Production must have VAPID keys, or opt into the stub with
+ * PUSH_TRANSPORT=stub, so reminders aren't silently only logged.
+ */
+function checkPushSender(env = process.env) {
+  if (env.PUSH_TRANSPORT && env.PUSH_TRANSPORT !== 'stub') {
+    return 'PUSH_TRANSPORT can only be stub';
+  }
+  if (env.NODE_ENV === 'production' && !env.PUSH_TRANSPORT &&
+      (!env.VAPID_PUBLIC_KEY || !env.VAPID_PRIVATE_KEY)) {
+    return 'VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY must be set in production (or PUSH_TRANSPORT=stub to only log notifications)';
+  }
+  return null;
+}
+
+/**
+ * Pick a sender from the environment. PUSH_TRANSPORT=stub forces the stub;
+ * otherwise Web Push is used whenever VAPID keys are set.
+ */
+function createPushSender(env = process.env) {
+  const publicKey = env.VAPID_PUBLIC_KEY;
+  const privateKey = env.VAPID_PRIVATE_KEY;
+
+  if (env.PUSH_TRANSPORT === 'stub' || !publicKey || !privateKey) {
+    return createStubPushSender();
+  }
+
+  return createWebPushSender({
+    publicKey,
+    privateKey,
+    subject: env.VAPID_SUBJECT || 'mailto:admin@example.com'
+  });
+}
+
+/**
+ * Send a notification to every subscription a user has, dropping the
+ * ones the push service reports as gone. Returns the number delivered.
+ */
+async function sendToUser(prisma, sender, userId, payload) {
+  const subscriptions = await prisma.pushSubscription.findMany({
+    where: { userId }
+  });
+
+  let delivered = 0;
+  for (const subscription of subscriptions) {
+    try {
+      const result = await sender.send({
+        endpoint: subscription.endpoint,
+        keys: {
+          p256dh: subscription.p256dh,
+          auth: subscription.auth
+        }
+      }, payload);
+
+      if (result.expired) {
+        await prisma.pushSubscription.delete({ where: { id: subscription.id } });
+      } else if (result.ok) {
+        delivered++;
+      }
+    } catch (err) {
+      console.error('Push send failed:', err.message);
+    }
+  }
+
+  return delivered;
+}
+
+module.exports = {
+  checkPushSender,
+  createWebPushSender,
+  createStubPushSender,
+  createPushSender,
+  sendToUser
+};
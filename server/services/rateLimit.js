@@ -0,0 +1,160 @@
+/**
+ * Rate limit stores share three methods, all keyed by strings like
+ * "ip:login:203.0.113.7" or "fail:ethan@example.com":
+ *
+ *   increment(key, windowMs) -> Promise<{ count, resetAt }>
+ *     Add one hit. The count starts when the key is first hit and
+ *     expires windowMs later (resetAt, a ms timestamp).
+ *   get(key) -> Promise<{ count, resetAt } | null>
+ *   reset(key) -> Promise<void>
+ *
+ * The in-memory store only sees its own process; running more than one
+ * instance needs a shared store (e.g. Redis INCR + PEXPIRE) with the same
+ * methods.
+ */
+
+// Failed logins on one account before it is locked
+const MAX_FAILED_LOGINS = 5;
+const FAILED_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+// Each lockout within a day lasts longer than the one before
+const LOCKOUT_MINUTES = [5, 15, 60, 240];
+const LOCKOUT_LEVEL_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Expired counters are swept once the store grows past this
+const MEMORY_SWEEP_SIZE = 10000;
+
+/**
+ * Counters in a Map, for a single server instance
+ */
+function createMemoryStore({ now = Date.now } = {}) {
+  const counters = new Map();
+
+  function current(key) {
+    const counter = counters.get(key);
+    if (counter && counter.resetAt <= now()) {
+      counters.delete(key);
+      return null;
+    }
+    return counter || null;
+  }
+
+  function sweep() {
+    const time = now();
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= time) counters.delete(key);
+    });
+  }
+
+  return {
+    name: 'memory',
+    async increment(key, windowMs) {
+      const counter = current(key);
+      if (counter) {
+        counter.count += 1;
+        return { ...counter };
+      }
+      if (counters.size >= MEMORY_SWEEP_SIZE) sweep();
+      const created = { count: 1, resetAt: now() + windowMs };
+      counters.set(key, created);
+      return { ...created };
+    },
+    async get(key) {
+      const counter = current(key);
+      return counter ? { ...counter } : null;
+    },
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+}
+
+/**
+ * Pick a store from the environment. RATE_LIMIT_STORE is memory (the
+ * only one built in so far).
+ */
+function createRateLimitStore(env = process.env) {
+  const kind = env.RATE_LIMIT_STORE || 'memory';
+  if (kind !== 'memory') {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${kind}"`);
+  }
+  return createMemoryStore();
+}
+
+const accountKey = email => String(email).trim().toLowerCase();
+
+/**
+ * When a locked account can try again (ms timestamp), or null
+ */
+async function getLoginLock(store, email) {
+  const lock = await store.get(`lock:${accountKey(email)}`);
+  return lock ? lock.resetAt : null;
+}
+
+/**
+ * Count a failed login. The attempt that reaches MAX_FAILED_LOGINS locks
+ * the account; returns { lockedUntil, failedAttempts } when it does,
+ * otherwise null.
+ */
+async function recordFailedLogin(store, email) {
+  const account = accountKey(email);
+  const { count } = await store.increment(`fail:${account}`, FAILED_LOGIN_WINDOW_MS);
+  if (count < MAX_FAILED_LOGINS) return null;
+
+  const { count: level } = await store.increment(`lockouts:${account}`, LOCKOUT_LEVEL_WINDOW_MS);
+  const minutes = LOCKOUT_MINUTES[Math.min(level, LOCKOUT_MINUTES.length) - 1];
+  const { resetAt } = await store.increment(`lock:${account}`, minutes * 60 * 1000);
+  await store.reset(`fail:${account}`);
+
+  return { lockedUntil: new Date(resetAt), failedAttempts: count };
+}
+
+/**
+ * Forget failed logins after a successful login or a password reset
+ */
+async function clearFailedLogins(store, email) {
+  const account = accountKey(email);
+  await Promise.all([
+    store.reset(`fail:${account}`),
+    store.reset(`lockouts:${account}`),
+    store.reset(`lock:${account}`)
+  ]);
+}
+
+function formatLockout(lockout) {
+  return {
+    id: lockout.id,
+    createdAt: lockout.createdAt,
+    lockedUntil: lockout.lockedUntil,
+    failedAttempts: lockout.failedAttempts,
+    ipAddress: lockout.ipAddress,
+    userAgent: lockout.userAgent
+  };
+}
+
+/**
+ * Lockouts the user hasn't been told about yet, marked as seen
+ */
+async function takeUnseenLockouts(prisma, userId) {
+  const lockouts = await prisma.loginLockout.findMany({
+    where: { userId, seenAt: null },
+    orderBy: { createdAt: 'asc' }
+  });
+  if (lockouts.length === 0) return [];
+
+  await prisma.loginLockout.updateMany({
+    where: { id: { in: lockouts.map(lockout => lockout.id) } },
+    data: { seenAt: new Date() }
+  });
+  return lockouts.map(formatLockout);
+}
+
+module.exports = {
+  MAX_FAILED_LOGINS,
+  createMemoryStore,
+  createRateLimitStore,
+  getLoginLock,
+  recordFailedLogin,
+  clearFailedLogins,
+  takeUnseenLockouts
+};
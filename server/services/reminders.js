@@ -0,0 +1,160 @@
+const { sendToUser } = require('./push');
+const { getGoalHistory, resolveGoal } = require('./goals');
+const { DEFAULT_TIME_ZONE, todayInTimeZone, timeInTimeZone } = require('./dates');
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+const ACTIVITY_LABELS = {
+  shooting: 'Shooting',
+  pickup: 'Pickup run',
+  custom: 'Training'
+};
+
+/**
+ * Minutes since midnight for an HH:MM string
+ */
+function toMinutes(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * Record that a reminder went out. Returns false if it already had, so
+ * each reminder is sent once even across restarts or overlapping runs.
+ */
+async function claimReminder(prisma, userId, key) {
+  try {
+    await prisma.sentReminder.create({
+      data: { userId, key }
+    });
+    return true;
+  } catch (err) {
+    if (err.code === 'P2002') return false; // Unique constraint - already sent
+    throw err;
+  }
+}
+
+/**
+ * Send reminders for a user's planned activities starting within their
+ * reminder window
+ */
+async function sendActivityReminders(prisma, sender, user, today, nowMinutes) {
+  const planned = await prisma.plannedActivity.findMany({
+    where: {
+      trainingDay: {
+        userId: user.id,
+        date: new Date(today + 'T00:00:00.000Z')
+      }
+    }
+  });
+
+  let sent = 0;
+  for (const activity of planned) {
+    const startsIn = toMinutes(activity.plannedTime) - nowMinutes;
+
+    if (startsIn < 0 || startsIn > user.reminderMinutes) continue;
+    if (!(await claimReminder(prisma, user.id, `planned:${activity.id}`))) continue;
+
+    const label = activity.type === 'custom' && activity.name ? activity.name : ACTIVITY_LABELS[activity.type];
+    const where = activity.location ? ` at ${activity.location}` : '';
+
+    sent += await sendToUser(prisma, sender, user.id, {
+      title: `${label} in ${startsIn} min`,
+      body: `Planned for ${activity.plannedTime}${where}`,
+      tag: `planned-${activity.id}`,
+      url: './index.html'
+    });
+  }
+
+  return sent;
+}
+
+/**
+ * Nudge a user who is past their evening nudge time and still under
+ * the day's shooting goal
+ */
+async function sendEveningNudge(prisma, sender, user, today, nowMinutes) {
+  if (!user.eveningNudgeTime || nowMinutes < toMinutes(user.eveningNudgeTime)) return 0;
+
+  const trainingDay = await prisma.trainingDay.findUnique({
+    where: {
+      userId_date: {
+        userId: user.id,
+        date: new Date(today + 'T00:00:00.000Z')
+      }
+    },
+    include: { actualActivities: { where: { type: 'shooting' } } }
+  });
+
+  const goalHistory = await getGoalHistory(prisma, user.id);
+  const goal = resolveGoal(goalHistory, trainingDay || { date: today, isGameDay: false });
+  const makes = trainingDay?.actualActivities?.[0]?.shootingMakes || 0;
+
+  if (makes >= goal) return 0;
+  if (!(await claimReminder(prisma, user.id, `nudge:${today}`))) return 0;
+
+  return sendToUser(prisma, sender, user.id, {
+    title: `${goal - makes} makes to go`,
+    body: `You're at ${makes}/${goal} today. Keep the streak alive!`,
+    tag: `nudge-${today}`,
+    url: './index.html'
+  });
+}
+
+/**
+ * Run one pass of the reminder check. Each user's "today" and current
+ * time are taken in their own time zone.
+ */
+async function runReminderCheck(prisma, sender, now = new Date()) {
+  const users = await prisma.user.findMany({
+    where: {
+      remindersEnabled: true,
+      pushSubscriptions: { some: {} }
+    },
+    select: { id: true, reminderMinutes: true, eveningNudgeTime: true, timeZone: true }
+  });
+
+  let reminders = 0;
+  let nudges = 0;
+  for (const user of users) {
+    const timeZone = user.timeZone || DEFAULT_TIME_ZONE;
+    const today = todayInTimeZone(timeZone, now);
+    const nowMinutes = toMinutes(timeInTimeZone(timeZone, now));
+
+    reminders += await sendActivityReminders(prisma, sender, user, today, nowMinutes);
+    nudges += await sendEveningNudge(prisma, sender, user, today, nowMinutes);
+  }
+
+  return { reminders, nudges };
+}
+
+/**
+ * Check for due reminders every minute. Returns a handle with stop().
+ */
+function startReminderScheduler(prisma, sender, intervalMs = CHECK_INTERVAL_MS) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return; // Skip a tick rather than overlap a slow run
+    running = true;
+    try {
+      await runReminderCheck(prisma, sender);
+    } catch (err) {
+      console.error('Reminder check failed:', err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+
+  return {
+    stop() {
+      clearInterval(timer);
+    }
+  };
+}
+
+module.exports = {
+  runReminderCheck,
+  startReminderScheduler
+};
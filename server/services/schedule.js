@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const { toDateKey } = require('./dates');
+
+const FIXED_TYPES = ['coach_skills', 'coach_weights', 'varsity'];
+
+// Schedule new accounts start with
+const DEFAULT_SCHEDULE = [
+  { type: 'coach_skills', title: 'Basketball Skills', weekdays: [1, 3, 5], startTime: '05:00', endTime: '06:00' },
+  { type: 'coach_weights', title: 'Weight Training', weekdays: [1, 3, 5], startTime: '06:00', endTime: '07:00' },
+  { type: 'varsity', title: 'Varsity Practice', weekdays: [1, 2, 3, 4, 5], startTime: '15:30', endTime: '17:30' }
+];
+
+/**
+ * Id of a user's nth default block. The same before and after the
+ * defaults are saved, so a block read before seeding can still be edited.
+ */
+function defaultBlockId(userId, index) {
+  const hex = crypto.createHash('sha256').update(`default-schedule:${userId}:${index}`).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-8${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+function defaultBlocks(userId) {
+  return DEFAULT_SCHEDULE.map((block, index) => ({
+    ...block,
+    id: defaultBlockId(userId, index),
+    userId
+  }));
+}
+
+async function isScheduleInitialized(prisma, userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { scheduleInitialized: true }
+  });
+  return !user || user.scheduleInitialized;
+}
+
+/**
+ * Save the default schedule for a user who hasn't got one yet. Call
+ * before changing blocks; safe to repeat.
+ */
+async function ensureSchedule(prisma, userId) {
+  if (await isScheduleInitialized(prisma, userId)) return;
+
+  await prisma.scheduleBlock.createMany({
+    data: defaultBlocks(userId),
+    skipDuplicates: true
+  });
+  await prisma.user.update({
+    where: { id: userId },
+    data: { scheduleInitialized: true }
+  });
+}
+
+/**
+ * Get a user's schedule blocks and exceptions. Until the schedule is
+ * first changed, the defaults are returned without being saved.
+ */
+async function getSchedule(prisma, userId) {
+  const [initialized, exceptions] = await Promise.all([
+    isScheduleInitialized(prisma, userId),
+    prisma.scheduleException.findMany({
+      where: { userId },
+      orderBy: { date: 'asc' }
+    })
+  ]);
+
+  const blocks = initialized
+    ? await prisma.scheduleBlock.findMany({
+      where: { userId },
+      orderBy: { startTime: 'asc' }
+    })
+    : defaultBlocks(userId)
+      .map(block => ({ ...block, effectiveFrom: null, effectiveTo: null, skipOnGameDays: true }))
+      .sort((a, b) => a.startTime.localeCompare(b.startTime));
+
+  return { blocks, exceptions };
+}
+
+/**
+ * Get the schedule blocks that apply on a date
+ */
+function getBlocksForDate(schedule, date, isGameDay) {
+  const dateStr = toDateKey(date);
+  const dow = new Date(dateStr + 'T00:00:00.000Z').getUTCDay();
+
+  const cancelled = schedule.exceptions.filter(e => toDateKey(e.date) === dateStr);
+  if (cancelled.some(e => !e.blockId)) return [];
+
+  return schedule.blocks.filter(block => {
+    if (!block.weekdays.includes(dow)) return false;
+    if (block.effectiveFrom && toDateKey(block.effectiveFrom) > dateStr) return false;
+    if (block.effectiveTo && toDateKey(block.effectiveTo) < dateStr) return false;
+    if (isGameDay && block.skipOnGameDays) return false;
+    return !cancelled.some(e => e.blockId === block.id);
+  });
+}
+
+/**
+ * Format a schedule block for API response
+ */
+function formatScheduleBlock(block) {
+  return {
+    id: block.id,
+    type: block.type,
+    title: block.title,
+    weekdays: block.weekdays,
+    startTime: block.startTime,
+    endTime: block.endTime,
+    effectiveFrom: block.effectiveFrom ? toDateKey(block.effectiveFrom) : null,
+    effectiveTo: block.effectiveTo ? toDateKey(block.effectiveTo) : null,
+    skipOnGameDays: block.skipOnGameDays
+  };
+}
+
+/**
+ * Format a schedule exception for API response
+ */
+function formatScheduleException(exception) {
+  return {
+    id: exception.id,
+    date: toDateKey(exception.date),
+    blockId: exception.blockId,
+    reason: exception.reason
+  };
+}
+
+/**
+ * Validate an HH:MM time string
+ */
+function isValidTime(time) {
+  return typeof time === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(time);
+}
+
+module.exports = {
+  FIXED_TYPES,
+  DEFAULT_SCHEDULE,
+  ensureSchedule,
+  getSchedule,
+  getBlocksForDate,
+  formatScheduleBlock,
+  formatScheduleException,
+  isValidTime
+};
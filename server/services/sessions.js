@@ -0,0 +1,129 @@
+const { generateToken } = require('../middleware/auth');
+const { generateSecureToken, hashToken } = require('./auth');
+
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+// Two tabs refreshing at once both present the same token; the loser
+// shouldn't be treated as a stolen token
+const REUSE_GRACE_MS = 30 * 1000;
+
+function refreshTokenExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function describeClient(req) {
+  return {
+    userAgent: req.get('user-agent') || null,
+    ipAddress: req.ip || null
+  };
+}
+
+/**
+ * Start a session for a user who just signed in.
+ * Returns { token, refreshToken, session }.
+ */
+async function createSession(prisma, user, req) {
+  const refreshToken = generateSecureToken();
+
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashToken(refreshToken),
+      expiresAt: refreshTokenExpiry(),
+      ...describeClient(req)
+    }
+  });
+
+  return {
+    token: generateToken(user, session.id),
+    refreshToken,
+    session
+  };
+}
+
+/**
+ * Swap a refresh token for a new access token and refresh token; the old
+ * refresh token stops working. An already-swapped token showing up again
+ * after the grace period means it was copied, so the session is ended.
+ * Returns null if the token isn't accepted.
+ */
+async function rotateSession(prisma, refreshToken, req) {
+  const hash = hashToken(refreshToken);
+
+  const session = await prisma.session.findUnique({
+    where: { refreshTokenHash: hash },
+    include: { user: true }
+  });
+
+  if (!session) {
+    const reused = await prisma.session.findUnique({
+      where: { previousTokenHash: hash }
+    });
+    if (reused && Date.now() - reused.lastUsedAt.getTime() > REUSE_GRACE_MS) {
+      await prisma.session.deleteMany({ where: { id: reused.id } });
+    }
+    return null;
+  }
+
+  if (session.expiresAt < new Date()) {
+    await prisma.session.deleteMany({ where: { id: session.id } });
+    return null;
+  }
+
+  const nextToken = generateSecureToken();
+
+  // Only one of two concurrent refreshes with the same token can win
+  const { count } = await prisma.session.updateMany({
+    where: {
+      id: session.id,
+      refreshTokenHash: hash
+    },
+    data: {
+      refreshTokenHash: hashToken(nextToken),
+      previousTokenHash: hash,
+      lastUsedAt: new Date(),
+      expiresAt: refreshTokenExpiry(),
+      ...describeClient(req)
+    }
+  });
+
+  if (count === 0) return null;
+
+  return {
+    token: generateToken(session.user, session.id),
+    refreshToken: nextToken,
+    session
+  };
+}
+
+/**
+ * End the session a refresh token belongs to
+ */
+async function revokeSessionByToken(prisma, refreshToken) {
+  const { count } = await prisma.session.deleteMany({
+    where: { refreshTokenHash: hashToken(refreshToken) }
+  });
+  return count > 0;
+}
+
+/**
+ * Format a session for API response
+ */
+function formatSession(session, currentSessionId) {
+  return {
+    id: session.id,
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: session.id === currentSessionId
+  };
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSessionByToken,
+  formatSession
+};
@@ -0,0 +1,180 @@
+const { getGoalHistory, resolveGoal } = require('./goals');
+const { timeInTimeZone, getUserTimeZone } = require('./dates');
+
+const SHOT_ZONES = ['free_throw', 'mid_range', 'corner_three', 'wing_three', 'top_three', 'layup'];
+
+// Makes logged with the quick counter, without a zone or attempts
+const UNSPECIFIED_ZONE = 'unspecified';
+
+/**
+ * Format a shooting set for API response
+ */
+function formatShootingSet(set) {
+  return {
+    id: set.id,
+    zone: set.zone,
+    makes: set.makes,
+    attempts: set.attempts,
+    createdAt: set.createdAt
+  };
+}
+
+/**
+ * Shooting percentage, or null when there are no attempts
+ */
+function shootingPercentage(makes, attempts) {
+  return attempts > 0 ? Math.round((makes / attempts) * 1000) / 10 : null;
+}
+
+/**
+ * Total makes and attempts per zone for a list of sets
+ */
+function summarizeZones(sets) {
+  return SHOT_ZONES
+    .map(zone => {
+      const zoneSets = sets.filter(set => set.zone === zone);
+      const makes = zoneSets.reduce((sum, set) => sum + set.makes, 0);
+      const attempts = zoneSets.reduce((sum, set) => sum + (set.attempts || 0), 0);
+      return { zone, makes, attempts, percentage: shootingPercentage(makes, attempts) };
+    })
+    .filter(zone => zone.attempts > 0);
+}
+
+/**
+ * Validate a shooting set. Returns an error message or null.
+ */
+function validateShootingSet({ zone, makes, attempts }) {
+  if (!SHOT_ZONES.includes(zone)) {
+    return `zone must be one of ${SHOT_ZONES.join(', ')}`;
+  }
+  if (!Number.isInteger(makes) || makes < 0) {
+    return 'makes must be a whole number';
+  }
+  if (!Number.isInteger(attempts) || attempts < makes) {
+    return 'attempts must be a whole number no less than makes';
+  }
+  return null;
+}
+
+/**
+ * Find or create the shooting activity for a training day
+ */
+async function getOrCreateShootingActivity(prisma, trainingDayId) {
+  const existing = await prisma.actualActivity.findFirst({
+    where: {
+      trainingDayId,
+      type: 'shooting'
+    },
+    include: { shootingSets: true }
+  });
+
+  if (existing) return existing;
+
+  return prisma.actualActivity.create({
+    data: {
+      trainingDayId,
+      type: 'shooting',
+      shootingMakes: 0
+    },
+    include: { shootingSets: true }
+  });
+}
+
+/**
+ * Before the first zone set is logged, move any counter-only total into
+ * an unspecified set so it isn't lost when the total is re-derived
+ */
+async function preserveCounterMakes(prisma, activity) {
+  if (activity.shootingSets.length === 0 && activity.shootingMakes > 0) {
+    await prisma.shootingSet.create({
+      data: {
+        actualActivityId: activity.id,
+        zone: UNSPECIFIED_ZONE,
+        makes: activity.shootingMakes
+      }
+    });
+  }
+}
+
+/**
+ * Set the counter makes for a shooting activity so the day's total is
+ * `makes`. Zone sets are kept; the counter covers the rest.
+ * Returns the new total.
+ */
+async function setCounterMakes(prisma, activity, makes) {
+  if (activity.shootingSets.length === 0) {
+    return makes;
+  }
+
+  const zoned = activity.shootingSets
+    .filter(set => set.zone !== UNSPECIFIED_ZONE)
+    .reduce((sum, set) => sum + set.makes, 0);
+  const counterMakes = Math.max(0, makes - zoned);
+
+  await prisma.shootingSet.deleteMany({
+    where: {
+      actualActivityId: activity.id,
+      zone: UNSPECIFIED_ZONE
+    }
+  });
+
+  if (counterMakes > 0) {
+    await prisma.shootingSet.create({
+      data: {
+        actualActivityId: activity.id,
+        zone: UNSPECIFIED_ZONE,
+        makes: counterMakes
+      }
+    });
+  }
+
+  return zoned + counterMakes;
+}
+
+/**
+ * Re-derive shootingMakes from the activity's sets
+ */
+async function recalculateShootingTotal(prisma, activityId) {
+  const result = await prisma.shootingSet.aggregate({
+    where: { actualActivityId: activityId },
+    _sum: { makes: true }
+  });
+
+  const total = result._sum.makes || 0;
+  await prisma.actualActivity.update({
+    where: { id: activityId },
+    data: { shootingMakes: total }
+  });
+
+  return total;
+}
+
+/**
+ * Re-derive the shooting total from its sets and stamp the completion
+ * time (in the user's time zone) the first time the day's goal is reached
+ */
+async function syncShootingActivity(prisma, userId, trainingDay, activity) {
+  const total = await recalculateShootingTotal(prisma, activity.id);
+
+  const goalHistory = await getGoalHistory(prisma, userId);
+  if (total >= resolveGoal(goalHistory, trainingDay) && !activity.completedAt) {
+    await prisma.actualActivity.update({
+      where: { id: activity.id },
+      data: { completedAt: timeInTimeZone(await getUserTimeZone(prisma, userId)) }
+    });
+  }
+}
+
+module.exports = {
+  SHOT_ZONES,
+  UNSPECIFIED_ZONE,
+  formatShootingSet,
+  shootingPercentage,
+  summarizeZones,
+  validateShootingSet,
+  getOrCreateShootingActivity,
+  preserveCounterMakes,
+  setCounterMakes,
+  recalculateShootingTotal,
+  syncShootingActivity
+};
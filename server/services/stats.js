@@ -0,0 +1,291 @@
+const { getGoalHistory, resolveGoal } = require('./goals');
+const { getStreaks } = require('./streaks');
+const { DEFAULT_TIME_ZONE, toDateKey, addDays, getWeekStart, todayInTimeZone } = require('./dates');
+const { ON_TIME_WINDOW_MINUTES, findCompletion, classifyPlanned } = require('./adherence');
+
+const GRANULARITIES = ['day', 'week', 'month'];
+
+const ACTIVITY_TYPES = ['shooting', 'pickup', 'custom', 'coach_skills', 'coach_weights', 'varsity'];
+
+// Longest range /api/stats/range will aggregate
+const MAX_RANGE_DAYS = 731;
+
+/**
+ * Lifetime stats summary for a user
+ */
+async function getStatsSummary(prisma, userId, timeZone = DEFAULT_TIME_ZONE) {
+  // Total shooting makes
+  const shootingStats = await prisma.actualActivity.aggregate({
+    where: {
+      trainingDay: { userId },
+      type: 'shooting'
+    },
+    _sum: {
+      shootingMakes: true
+    },
+    _count: true
+  });
+
+  // Total sessions (all activity types)
+  const sessionsCount = await prisma.actualActivity.count({
+    where: {
+      trainingDay: { userId },
+      type: {
+        in: ['coach_skills', 'coach_weights', 'varsity', 'pickup', 'custom']
+      }
+    }
+  });
+
+  // Days that hit the goal in effect on that date
+  const goalHistory = await getGoalHistory(prisma, userId);
+  const shootingDays = await prisma.actualActivity.findMany({
+    where: {
+      trainingDay: { userId },
+      type: 'shooting'
+    },
+    select: {
+      shootingMakes: true,
+      trainingDay: {
+        select: { date: true, isGameDay: true, shootingGoal: true }
+      }
+    }
+  });
+  const perfectDays = shootingDays.filter(a =>
+    (a.shootingMakes || 0) >= resolveGoal(goalHistory, a.trainingDay)
+  ).length;
+
+  const streaks = await getStreaks(prisma, userId, timeZone);
+
+  return {
+    streak: streaks.current,
+    longestStreak: streaks.longest,
+    totalMakes: shootingStats._sum.shootingMakes || 0,
+    totalSessions: sessionsCount,
+    perfectDays,
+    shootingDays: shootingStats._count
+  };
+}
+
+/**
+ * Stats for the last 7 days, ending today in the user's time zone
+ */
+async function getWeeklyStats(prisma, userId, timeZone = DEFAULT_TIME_ZONE) {
+  const today = todayInTimeZone(timeZone);
+  const weekAgo = addDays(today, -6);
+
+  // Get all training days for the week
+  const trainingDays = await prisma.trainingDay.findMany({
+    where: {
+      userId,
+      date: {
+        gte: new Date(weekAgo + 'T00:00:00.000Z'),
+        lte: new Date(today + 'T00:00:00.000Z')
+      }
+    },
+    include: {
+      plannedActivities: true,
+      actualActivities: true
+    },
+    orderBy: { date: 'asc' }
+  });
+
+  const goalHistory = await getGoalHistory(prisma, userId);
+
+  // Build daily stats
+  const dailyStats = [];
+  for (let i = 0; i < 7; i++) {
+    const dateStr = addDays(weekAgo, i);
+
+    const dayData = trainingDays.find(d => d.date.toISOString().split('T')[0] === dateStr);
+
+    const shootingActivity = dayData?.actualActivities?.find(a => a.type === 'shooting');
+    const makes = shootingActivity?.shootingMakes || 0;
+    const goal = resolveGoal(goalHistory, dayData || { date: dateStr, isGameDay: false });
+
+    dailyStats.push({
+      date: dateStr,
+      dayOfWeek: new Date(dateStr + 'T00:00:00.000Z').getUTCDay(),
+      makes,
+      goal,
+      completed: makes >= goal
+    });
+  }
+
+  // Calculate weekly completion percentage
+  const completedDays = dailyStats.filter(d => d.completed).length;
+  const completionPercentage = Math.round((completedDays / 7) * 100);
+
+  // Calculate consistency (planned vs actual timing)
+  let onTime = 0;
+  let totalPlanned = 0;
+
+  trainingDays.forEach(day => {
+    const date = toDateKey(day.date);
+    day.plannedActivities.forEach(planned => {
+      totalPlanned++;
+      const completion = findCompletion(planned, day.actualActivities);
+      if (classifyPlanned(planned, completion, date, today) === 'on_time') onTime++;
+    });
+  });
+
+  const consistencyScore = totalPlanned > 0 ? Math.round((onTime / totalPlanned) * 100) : 0;
+
+  return {
+    dailyStats,
+    completionPercentage,
+    consistencyScore,
+    totalMakes: dailyStats.reduce((sum, d) => sum + d.makes, 0)
+  };
+}
+
+/**
+ * First day of the bucket a YYYY-MM-DD date falls in
+ */
+function bucketStart(date, granularity) {
+  if (granularity === 'week') return getWeekStart(date);
+  if (granularity === 'month') return date.slice(0, 8) + '01';
+  return date;
+}
+
+function percentage(count, total) {
+  return total > 0 ? Math.round((count / total) * 100) : null;
+}
+
+/**
+ * Planned activities and how many were completed on time, per training
+ * day. Pickup and custom plans are matched through their linked
+ * completion, shooting by day. Matching is done in the database so only
+ * counts come back.
+ */
+async function getPlannedTiming(prisma, userId, start, end) {
+  const rows = await prisma.$queryRaw`
+    SELECT
+      pa.training_day_id AS "trainingDayId",
+      COUNT(*)::int AS planned,
+      COUNT(*) FILTER (WHERE EXISTS (
+        SELECT 1 FROM actual_activities aa
+        WHERE (
+            aa.planned_activity_id = pa.id OR
+            (pa.type::text = 'shooting' AND aa.type::text = 'shooting' AND aa.training_day_id = pa.training_day_id)
+          )
+          -- CASE so the casts only run on well-formed HH:MM values
+          AND CASE
+            WHEN aa.completed_at ~ '^[0-9]{2}:[0-9]{2}$' AND pa.planned_time ~ '^[0-9]{2}:[0-9]{2}$'
+            THEN (split_part(aa.completed_at, ':', 1)::int * 60 + split_part(aa.completed_at, ':', 2)::int) -
+              (split_part(pa.planned_time, ':', 1)::int * 60 + split_part(pa.planned_time, ':', 2)::int)
+              BETWEEN ${-ON_TIME_WINDOW_MINUTES} AND ${ON_TIME_WINDOW_MINUTES}
+            ELSE false
+          END
+      ))::int AS "onTime"
+    FROM planned_activities pa
+    JOIN training_days td ON td.id = pa.training_day_id
+    WHERE td.user_id = ${userId}
+      AND td.date BETWEEN ${start}::date AND ${end}::date
+    GROUP BY pa.training_day_id
+  `;
+
+  return new Map(rows.map(row => [row.trainingDayId, row]));
+}
+
+/**
+ * Makes, goal completion, sessions by activity type, game days and
+ * consistency between two YYYY-MM-DD dates, in day, week (Sunday start)
+ * or month buckets. Goal completion only counts days up to today in the
+ * user's time zone. Reads per-day aggregates, not individual activities.
+ */
+async function getRangeStats(prisma, userId, { start, end, granularity = 'day' }, timeZone = DEFAULT_TIME_ZONE) {
+  const dateFilter = {
+    gte: new Date(start + 'T00:00:00.000Z'),
+    lte: new Date(end + 'T00:00:00.000Z')
+  };
+
+  const [trainingDays, activityCounts, timing, goalHistory] = await Promise.all([
+    prisma.trainingDay.findMany({
+      where: { userId, date: dateFilter },
+      select: { id: true, date: true, isGameDay: true, shootingGoal: true }
+    }),
+    prisma.actualActivity.groupBy({
+      by: ['trainingDayId', 'type'],
+      where: { trainingDay: { userId, date: dateFilter } },
+      _count: { _all: true },
+      _sum: { shootingMakes: true }
+    }),
+    getPlannedTiming(prisma, userId, start, end),
+    getGoalHistory(prisma, userId)
+  ]);
+
+  const countsByDay = new Map();
+  activityCounts.forEach(row => {
+    if (!countsByDay.has(row.trainingDayId)) countsByDay.set(row.trainingDayId, []);
+    countsByDay.get(row.trainingDayId).push(row);
+  });
+
+  const daysByDate = new Map(trainingDays.map(day => [toDateKey(day.date), day]));
+  const today = todayInTimeZone(timeZone);
+
+  const emptyBucket = (bucketStartDate) => ({
+    start: bucketStartDate,
+    end: bucketStartDate,
+    makes: 0,
+    daysElapsed: 0,
+    daysCompleted: 0,
+    gameDays: 0,
+    sessions: Object.fromEntries(ACTIVITY_TYPES.map(type => [type, 0])),
+    planned: 0,
+    onTime: 0
+  });
+
+  const totals = emptyBucket(start);
+  const buckets = new Map();
+
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    const key = bucketStart(date, granularity);
+    if (!buckets.has(key)) buckets.set(key, emptyBucket(date));
+
+    const day = daysByDate.get(date);
+    const counts = (day && countsByDay.get(day.id)) || [];
+    const dayTiming = day && timing.get(day.id);
+    const makes = counts.find(row => row.type === 'shooting')?._sum.shootingMakes || 0;
+    const goal = resolveGoal(goalHistory, day || { date, isGameDay: false });
+
+    [buckets.get(key), totals].forEach(bucket => {
+      bucket.end = date;
+      bucket.makes += makes;
+      if (date <= today) {
+        bucket.daysElapsed++;
+        if (makes >= goal) bucket.daysCompleted++;
+      }
+      if (day?.isGameDay) bucket.gameDays++;
+      counts.forEach(row => {
+        bucket.sessions[row.type] += row._count._all;
+      });
+      if (dayTiming) {
+        bucket.planned += dayTiming.planned;
+        bucket.onTime += dayTiming.onTime;
+      }
+    });
+  }
+
+  const formatBucket = ({ planned, onTime, ...bucket }) => ({
+    ...bucket,
+    goalCompletionRate: percentage(bucket.daysCompleted, bucket.daysElapsed),
+    plannedActivities: planned,
+    consistencyScore: percentage(onTime, planned)
+  });
+
+  return {
+    start,
+    end,
+    granularity,
+    totals: formatBucket(totals),
+    periods: [...buckets.values()].map(formatBucket)
+  };
+}
+
+module.exports = {
+  GRANULARITIES,
+  MAX_RANGE_DAYS,
+  getStatsSummary,
+  getWeeklyStats,
+  getRangeStats
+};
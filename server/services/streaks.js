@@ -0,0 +1,89 @@
+const { getGoalHistory, resolveGoal } = require('./goals');
+const { toDateKey, addDays, todayInTimeZone } = require('./dates');
+
+/**
+ * Group days that hit their shooting goal into streak runs.
+ * `days` are { date, isGameDay, shootingGoal, makes }, oldest first.
+ * Returns runs as { start, end, length }, oldest first.
+ */
+function buildStreakRuns(days, goalHistory) {
+  const runs = [];
+
+  days.forEach(day => {
+    if (day.makes < resolveGoal(goalHistory, day)) return;
+
+    const date = toDateKey(day.date);
+    const last = runs[runs.length - 1];
+
+    if (last && addDays(last.end, 1) === date) {
+      last.end = date;
+      last.length++;
+    } else {
+      runs.push({ start: date, end: date, length: 1 });
+    }
+  });
+
+  return runs;
+}
+
+/**
+ * Current and longest streak from a list of runs. A streak ending
+ * yesterday is still current: today's goal can still be hit.
+ */
+function summarizeStreaks(runs, today) {
+  const last = runs[runs.length - 1];
+  const isCurrent = last && (last.end === today || last.end === addDays(today, -1));
+
+  return {
+    current: isCurrent ? last.length : 0,
+    currentStart: isCurrent ? last.start : null,
+    longest: runs.reduce((max, run) => Math.max(max, run.length), 0)
+  };
+}
+
+/**
+ * All of a user's streaks, with "today" taken in their time zone.
+ * Reads every shooting day in one query.
+ */
+async function getStreaks(prisma, userId, timeZone = 'UTC') {
+  const today = todayInTimeZone(timeZone);
+
+  const [activities, goalHistory] = await Promise.all([
+    prisma.actualActivity.findMany({
+      where: {
+        type: 'shooting',
+        trainingDay: {
+          userId,
+          date: { lte: new Date(today + 'T00:00:00.000Z') }
+        }
+      },
+      select: {
+        shootingMakes: true,
+        trainingDay: {
+          select: { date: true, isGameDay: true, shootingGoal: true }
+        }
+      },
+      orderBy: { trainingDay: { date: 'asc' } }
+    }),
+    getGoalHistory(prisma, userId)
+  ]);
+
+  const days = activities.map(activity => ({
+    ...activity.trainingDay,
+    makes: activity.shootingMakes || 0
+  }));
+
+  const runs = buildStreakRuns(days, goalHistory);
+
+  return {
+    today,
+    ...summarizeStreaks(runs, today),
+    runs
+  };
+}
+
+module.exports = {
+  buildStreakRuns,
+  summarizeStreaks,
+  getStreaks
+};
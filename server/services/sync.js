@@ -0,0 +1,384 @@
+const { TRAINING_DAY_INCLUDE, getOrCreateTrainingDay } = require('./training');
+const { getGoalHistory, resolveGoal, isValidGoal } = require('./goals');
+const { FIXED_TYPES, getSchedule, getBlocksForDate, isValidTime } = require('./schedule');
+const {
+  validateShootingSet,
+  getOrCreateShootingActivity,
+  preserveCounterMakes,
+  setCounterMakes,
+  syncShootingActivity
+} = require('./shooting');
+const { findLinkablePlan, linkUnmatchedActivities } = require('./adherence');
+const { DEFAULT_TIME_ZONE, isValidDateKey, timeInTimeZone, getUserTimeZone } = require('./dates');
+const { validateCompletionDetails, findVisibleDrill, resolvePlannedDrill } = require('./drills');
+const { validateSessionLoad } = require('./load');
+const { validateJournal, saveJournal } = require('./journal');
+const { trackChanges } = require('./history');
+
+const MAX_BATCH_SIZE = 100;
+
+const OPERATION_TYPES = [
+  'set_game_day',
+  'set_shooting_goal',
+  'set_fixed',
+  'set_makes',
+  'add_shooting_set',
+  'add_planned',
+  'remove_planned',
+  'log_activity',
+  'rate_activity',
+  'set_journal'
+];
+
+/**
+ * Validate the envelope of a queued operation. Returns an error message or null.
+ * Operations look like { id, type, date, data } where `id` is generated by
+ * the client and stays the same across retries.
+ */
+function validateOperation(op) {
+  if (!op || typeof op.id !== 'string' || !op.id || op.id.length > 100) {
+    return 'Operation id is required';
+  }
+  if (!OPERATION_TYPES.includes(op.type)) {
+    return `Unknown operation type: ${op.type}`;
+  }
+  if (!isValidDateKey(op.date)) {
+    return 'Invalid date format. Use YYYY-MM-DD';
+  }
+  if (op.data !== undefined && (typeof op.data !== 'object' || op.data === null)) {
+    return 'data must be an object';
+  }
+  return null;
+}
+
+/**
+ * An error that rejects a single operation without failing the batch
+ */
+function rejectOperation(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+/**
+ * Set a training day field unless another device changed it since the
+ * client last saw it (`base`). The other device's edit wins.
+ */
+async function compareAndSet(tx, trainingDay, field, { value, base }) {
+  const current = trainingDay[field];
+
+  if (current === value) return 'unchanged';
+  if (base !== undefined && current !== base) return 'conflict';
+
+  await tx.trainingDay.update({
+    where: { id: trainingDay.id },
+    data: { [field]: value }
+  });
+  return 'applied';
+}
+
+/**
+ * Apply one operation inside a transaction. Returns its status:
+ * - applied: the change was made
+ * - unchanged: the day already looked like this
+ * - merged: the day changed elsewhere and the two edits were combined
+ * - conflict: the day changed elsewhere and that edit was kept
+ * Completion times not sent by the client default to now in `timeZone`.
+ */
+async function applyOperation(tx, userId, op, timeZone = DEFAULT_TIME_ZONE) {
+  const data = op.data || {};
+  const trainingDay = await getOrCreateTrainingDay(tx, userId, op.date);
+
+  switch (op.type) {
+    case 'set_game_day': {
+      if (typeof data.value !== 'boolean') {
+        throw rejectOperation('value must be true or false');
+      }
+      return compareAndSet(tx, trainingDay, 'isGameDay', data);
+    }
+
+    case 'set_shooting_goal': {
+      if (data.value !== null && !isValidGoal(data.value)) {
+        throw rejectOperation('value must be a positive whole number or null');
+      }
+      return compareAndSet(tx, trainingDay, 'shootingGoal', data);
+    }
+
+    case 'set_fixed': {
+      const { type, done, completedAt, durationMinutes, rpe } = data;
+      if (!FIXED_TYPES.includes(type) || typeof done !== 'boolean') {
+        throw rejectOperation('set_fixed needs a fixed activity type and done');
+      }
+      if (completedAt != null && !isValidTime(completedAt)) {
+        throw rejectOperation('completedAt must be HH:MM');
+      }
+      const loadError = validateSessionLoad({ durationMinutes, rpe });
+      if (loadError) throw rejectOperation(loadError);
+
+      const existing = trainingDay.actualActivities.find(activity => activity.type === type);
+      if (Boolean(existing) === done) return 'unchanged';
+
+      if (!done) {
+        await tx.actualActivity.delete({ where: { id: existing.id } });
+        return 'applied';
+      }
+
+      const schedule = await getSchedule(tx, userId);
+      const blocks = getBlocksForDate(schedule, op.date, trainingDay.isGameDay);
+      if (!blocks.some(block => block.type === type)) {
+        throw rejectOperation(`No ${type} session scheduled on ${op.date}`);
+      }
+
+      await tx.actualActivity.create({
+        data: {
+          trainingDayId: trainingDay.id,
+          type,
+          completedAt: completedAt || timeInTimeZone(timeZone),
+          durationMinutes: durationMinutes ?? null,
+          rpe: rpe ?? null
+        }
+      });
+      return 'applied';
+    }
+
+    case 'set_makes': {
+      // Counters merge: if makes changed elsewhere, add this device's
+      // change on top instead of overwriting the other one
+      const { value, base, completedAt } = data;
+      if (!Number.isInteger(value) || value < 0) {
+        throw rejectOperation('value must be a whole number');
+      }
+      if (completedAt != null && !isValidTime(completedAt)) {
+        throw rejectOperation('completedAt must be HH:MM');
+      }
+
+      const activity = await getOrCreateShootingActivity(tx, trainingDay.id);
+      const current = activity.shootingMakes || 0;
+      if (current === value) return 'unchanged';
+
+      const merged = base !== undefined && current !== base;
+      const target = merged ? Math.max(0, current + value - base) : value;
+      const total = await setCounterMakes(tx, activity, target);
+
+      const goalHistory = await getGoalHistory(tx, userId);
+      const reachedGoal = total >= resolveGoal(goalHistory, trainingDay);
+
+      await tx.actualActivity.update({
+        where: { id: activity.id },
+        data: {
+          shootingMakes: total,
+          completedAt: activity.completedAt ??
+            (reachedGoal ? completedAt || timeInTimeZone(timeZone) : null)
+        }
+      });
+      return merged ? 'merged' : 'applied';
+    }
+
+    case 'add_shooting_set': {
+      const set = { zone: data.zone, makes: data.makes, attempts: data.attempts };
+      const error = validateShootingSet(set);
+      if (error) throw rejectOperation(error);
+
+      const activity = await getOrCreateShootingActivity(tx, trainingDay.id);
+      await preserveCounterMakes(tx, activity);
+      await tx.shootingSet.create({
+        data: { actualActivityId: activity.id, ...set }
+      });
+      await syncShootingActivity(tx, userId, trainingDay, activity);
+      return 'applied';
+    }
+
+    case 'add_planned': {
+      const { type, time, location, name, drillId } = data;
+      if (!['shooting', 'pickup', 'custom'].includes(type) || !isValidTime(time)) {
+        throw rejectOperation('add_planned needs a type and an HH:MM time');
+      }
+
+      const drill = await resolvePlannedDrill(tx, userId, { type, name, drillId });
+      if (drill.error) throw rejectOperation(drill.error);
+
+      // Only one planned shooting session per day
+      if (type === 'shooting') {
+        await tx.plannedActivity.deleteMany({
+          where: { trainingDayId: trainingDay.id, type: 'shooting' }
+        });
+      }
+
+      await tx.plannedActivity.create({
+        data: {
+          trainingDayId: trainingDay.id,
+          type,
+          plannedTime: time,
+          location: type === 'pickup' ? location || null : null,
+          name: drill.name,
+          drillId: drill.drillId
+        }
+      });
+      return 'applied';
+    }
+
+    case 'remove_planned': {
+      if (typeof data.activityId !== 'string') {
+        throw rejectOperation('activityId must be a planned activity id');
+      }
+      const { count } = await tx.plannedActivity.deleteMany({
+        where: { id: data.activityId, trainingDayId: trainingDay.id }
+      });
+      return count > 0 ? 'applied' : 'unchanged';
+    }
+
+    case 'log_activity': {
+      const { type, completedAt, plannedActivityId, durationMinutes, rpe, drillId, sets, reps } = data;
+      if (!['pickup', 'custom'].includes(type)) {
+        throw rejectOperation('log_activity is for pickup and custom activities');
+      }
+      if (completedAt != null && !isValidTime(completedAt)) {
+        throw rejectOperation('completedAt must be HH:MM');
+      }
+
+      const detailsError = validateSessionLoad({ durationMinutes, rpe }) ||
+        (type === 'custom' && validateCompletionDetails({ sets, reps }));
+      if (detailsError) throw rejectOperation(detailsError);
+      if (type === 'custom' && drillId != null && !(await findVisibleDrill(tx, userId, drillId))) {
+        throw rejectOperation('Drill not found');
+      }
+
+      // A plan added offline has no server id yet; fall back to matching
+      const planned = plannedActivityId &&
+        await findLinkablePlan(tx, trainingDay.id, type, plannedActivityId);
+
+      const actual = await tx.actualActivity.create({
+        data: {
+          trainingDayId: trainingDay.id,
+          plannedActivityId: planned ? planned.id : null,
+          type,
+          completedAt: completedAt || null,
+          durationMinutes: durationMinutes ?? null,
+          rpe: rpe ?? null,
+          ...(type === 'custom' && {
+            drillId: drillId ?? planned?.drillId ?? null,
+            sets: sets ?? null,
+            reps: reps ?? null
+          })
+        }
+      });
+
+      if (plannedActivityId && !planned) {
+        await linkUnmatchedActivities(tx, trainingDay.id, { actualActivityId: actual.id });
+      }
+      return 'applied';
+    }
+
+    case 'rate_activity': {
+      // Shooting and fixed sessions are one per day, so they can be found
+      // by type when they were logged offline and have no server id yet
+      const { activityId, type } = data;
+      const loadError = validateSessionLoad(data);
+      if (loadError) throw rejectOperation(loadError);
+
+      const activity = trainingDay.actualActivities.find(actual => actual.id === activityId) ||
+        (['shooting', ...FIXED_TYPES].includes(type) &&
+          trainingDay.actualActivities.find(actual => actual.type === type));
+      if (!activity) {
+        throw rejectOperation('Activity not found');
+      }
+
+      const changes = {};
+      ['durationMinutes', 'rpe'].forEach(field => {
+        if (data[field] !== undefined && data[field] !== activity[field]) changes[field] = data[field];
+      });
+      if (Object.keys(changes).length === 0) return 'unchanged';
+
+      await tx.actualActivity.update({
+        where: { id: activity.id },
+        data: changes
+      });
+      return 'applied';
+    }
+
+    case 'set_journal': {
+      const journalError = validateJournal(data);
+      if (journalError) throw rejectOperation(journalError);
+
+      const changed = await saveJournal(tx, trainingDay, data);
+      return changed ? 'applied' : 'unchanged';
+    }
+  }
+}
+
+/**
+ * Apply a batch of queued operations in order. Each operation runs in its
+ * own transaction and is recorded by its client id, so a batch can be
+ * resent after a dropped connection without applying anything twice.
+ * Changes are recorded in the activity history under `context` (see
+ * changeContext), one batch per operation.
+ * Returns per-operation results and the final state of every day touched.
+ */
+async function syncOperations(prisma, userId, operations, context = { userId }) {
+  const results = [];
+  const dates = new Set();
+  const timeZone = await getUserTimeZone(prisma, userId);
+
+  for (const op of operations) {
+    const error = validateOperation(op);
+    if (error) {
+      results.push({ id: op?.id ?? null, status: 'rejected', error });
+      continue;
+    }
+    dates.add(op.date);
+
+    const recorded = await prisma.syncOperation.findUnique({
+      where: { userId_clientId: { userId, clientId: op.id } }
+    });
+    if (recorded) {
+      results.push({ id: op.id, status: 'duplicate', originalStatus: recorded.status });
+      continue;
+    }
+
+    try {
+      const { status, historyBatchId } = await prisma.$transaction(async (tx) => {
+        const tracker = await trackChanges(tx, context, [op.date]);
+        const status = await applyOperation(tx, userId, op, timeZone);
+        const historyBatchId = await tracker.finish();
+        await tx.syncOperation.create({
+          data: {
+            userId,
+            clientId: op.id,
+            type: op.type,
+            date: new Date(op.date + 'T00:00:00.000Z'),
+            status
+          }
+        });
+        return { status, historyBatchId };
+      });
+
+      results.push({ id: op.id, status, historyBatchId });
+    } catch (err) {
+      if (err.code === 'P2002') {
+        // Another request recorded this operation first
+        results.push({ id: op.id, status: 'duplicate' });
+      } else if (err.status === 400) {
+        results.push({ id: op.id, status: 'rejected', error: err.message });
+      } else {
+        throw err;
+      }
+    }
+  }
+
+  const days = await prisma.trainingDay.findMany({
+    where: {
+      userId,
+      date: { in: [...dates].map(date => new Date(date + 'T00:00:00.000Z')) }
+    },
+    include: TRAINING_DAY_INCLUDE,
+    orderBy: { date: 'asc' }
+  });
+
+  return { results, days };
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  OPERATION_TYPES,
+  validateOperation,
+  applyOperation,
+  syncOperations
+};
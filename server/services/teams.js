@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+
+// Unambiguous characters only (no 0/O, 1/I)
+const INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+
+/**
+ * Generate a random team invitation code
+ */
+function generateInviteCode() {
+  const bytes = crypto.randomBytes(INVITE_CODE_LENGTH);
+  return Array.from(bytes, b => INVITE_ALPHABET[b % INVITE_ALPHABET.length]).join('');
+}
+
+/**
+ * Find a team coached by the given user
+ */
+async function findCoachedTeam(prisma, coachId, teamId) {
+  const team = await prisma.team.findUnique({
+    where: { id: teamId },
+    include: {
+      members: {
+        include: {
+          athlete: {
+            select: { id: true, name: true, email: true }
+          }
+        },
+        orderBy: { joinedAt: 'asc' }
+      }
+    }
+  });
+
+  if (!team || team.coachId !== coachId) {
+    return null;
+  }
+  return team;
+}
+
+/**
+ * Get the membership that lets a coach see an athlete on one of their
+ * teams, or null if the coach has no access
+ */
+async function getAthleteMembership(prisma, coachId, teamId, athleteId) {
+  const membership = await prisma.teamMembership.findUnique({
+    where: {
+      teamId_athleteId: {
+        teamId,
+        athleteId
+      }
+    },
+    include: { team: true }
+  });
+
+  if (!membership || membership.team.coachId !== coachId) {
+    return null;
+  }
+  return membership;
+}
+
+/**
+ * Format a membership's sharing settings for API response
+ */
+function formatSharing(membership) {
+  return {
+    shareTraining: membership.shareTraining,
+    shareStats: membership.shareStats,
+    allowPlanning: membership.allowPlanning
+  };
+}
+
+/**
+ * Format a team for its coach
+ */
+function formatCoachTeam(team) {
+  return {
+    id: team.id,
+    name: team.name,
+    inviteCode: team.inviteCode,
+    members: team.members.map(member => ({
+      athlete: member.athlete,
+      joinedAt: member.joinedAt,
+      sharing: formatSharing(member)
+    }))
+  };
+}
+
+module.exports = {
+  generateInviteCode,
+  findCoachedTeam,
+  getAthleteMembership,
+  formatSharing,
+  formatCoachTeam
+};
@@ -0,0 +1,187 @@
+const { getOrCreateTrainingDay } = require('./training');
+const { addDays } = require('./dates');
+const { isValidTime } = require('./schedule');
+
+const PLANNED_TYPES = ['shooting', 'pickup', 'custom'];
+
+/**
+ * Validate template activities. Returns an error message or null.
+ */
+function validateTemplateActivities(activities) {
+  if (!Array.isArray(activities)) {
+    return 'activities must be a list';
+  }
+
+  const shootingDays = new Set();
+  for (const activity of activities) {
+    if (!activity || typeof activity !== 'object') {
+      return 'Every activity must be an object';
+    }
+    if (!Number.isInteger(activity.weekday) || activity.weekday < 0 || activity.weekday > 6) {
+      return 'weekday must be 0-6 (0 = Sunday)';
+    }
+    if (!PLANNED_TYPES.includes(activity.type)) {
+      return 'Invalid activity type';
+    }
+    if (!isValidTime(activity.time)) {
+      return 'time must be HH:MM for every activity';
+    }
+    // A day has at most one planned shooting session
+    if (activity.type === 'shooting') {
+      if (shootingDays.has(activity.weekday)) {
+        return 'Only one shooting session per weekday';
+      }
+      shootingDays.add(activity.weekday);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read the planned activities of a week as template activities
+ */
+async function snapshotWeek(prisma, userId, weekStart) {
+  const trainingDays = await prisma.trainingDay.findMany({
+    where: {
+      userId,
+      date: {
+        gte: new Date(weekStart + 'T00:00:00.000Z'),
+        lte: new Date(addDays(weekStart, 6) + 'T00:00:00.000Z')
+      }
+    },
+    include: { plannedActivities: true }
+  });
+
+  const activities = [];
+  trainingDays.forEach(day => {
+    day.plannedActivities.forEach(activity => {
+      activities.push({
+        weekday: day.date.getUTCDay(),
+        type: activity.type,
+        time: activity.plannedTime,
+        location: activity.location,
+        name: activity.name,
+        drillId: activity.drillId
+      });
+    });
+  });
+
+  return activities;
+}
+
+/**
+ * Format a week template for API response
+ */
+function formatTemplate(template) {
+  return {
+    id: template.id,
+    name: template.name,
+    activities: template.activities
+      .map(activity => ({
+        id: activity.id,
+        weekday: activity.weekday,
+        type: activity.type,
+        time: activity.plannedTime,
+        location: activity.location,
+        name: activity.name,
+        drillId: activity.drillId
+      }))
+      .sort((a, b) => a.weekday - b.weekday || a.time.localeCompare(b.time))
+  };
+}
+
+/**
+ * Apply template activities to one or more weeks. Run this inside a
+ * transaction so a failed apply leaves nothing behind.
+ *
+ * Options:
+ * - onConflict: 'skip' keeps what is already planned, 'replace' swaps it
+ *   for the template activity, 'fail' applies nothing if anything clashes
+ * - gameDays: 'skip' plans nothing on game days, 'adapt' plans shooting
+ *   only, 'include' plans everything
+ * - dryRun: report what would happen without writing
+ */
+async function applyWeekPlan(tx, userId, activities, weekStarts, options = {}) {
+  const { onConflict = 'skip', gameDays = 'adapt', dryRun = false } = options;
+
+  // Work out the target days and their clashes before writing anything
+  const plan = [];
+  const conflicts = [];
+  const skipped = [];
+
+  for (const weekStart of weekStarts) {
+    for (const activity of activities) {
+      const date = addDays(weekStart, activity.weekday);
+      const trainingDay = await tx.trainingDay.findUnique({
+        where: {
+          userId_date: {
+            userId,
+            date: new Date(date + 'T00:00:00.000Z')
+          }
+        },
+        include: { plannedActivities: true }
+      });
+
+      if (trainingDay?.isGameDay &&
+          (gameDays === 'skip' || (gameDays === 'adapt' && activity.type !== 'shooting'))) {
+        skipped.push({ date, type: activity.type, time: activity.time, reason: 'game_day' });
+        continue;
+      }
+
+      // One shooting block per day; other types clash at the same time
+      const existing = (trainingDay?.plannedActivities || []).filter(planned =>
+        planned.type === activity.type &&
+        (activity.type === 'shooting' || planned.plannedTime === activity.time)
+      );
+
+      if (existing.length > 0) {
+        conflicts.push({
+          date,
+          type: activity.type,
+          time: activity.time,
+          existing: existing.map(planned => ({ id: planned.id, time: planned.plannedTime }))
+        });
+      }
+
+      plan.push({ date, activity, existing });
+    }
+  }
+
+  if (dryRun || (onConflict === 'fail' && conflicts.length > 0)) {
+    return { applied: false, created: 0, conflicts, skipped };
+  }
+
+  let created = 0;
+  for (const { date, activity, existing } of plan) {
+    if (existing.length > 0) {
+      if (onConflict !== 'replace') continue;
+      await tx.plannedActivity.deleteMany({
+        where: { id: { in: existing.map(planned => planned.id) } }
+      });
+    }
+
+    const trainingDay = await getOrCreateTrainingDay(tx, userId, date);
+    await tx.plannedActivity.create({
+      data: {
+        trainingDayId: trainingDay.id,
+        type: activity.type,
+        plannedTime: activity.time,
+        location: activity.type === 'pickup' ? activity.location : null,
+        name: activity.type === 'custom' ? activity.name : null,
+        drillId: activity.type === 'custom' ? activity.drillId || null : null
+      }
+    });
+    created++;
+  }
+
+  return { applied: true, created, conflicts, skipped };
+}
+
+module.exports = {
+  PLANNED_TYPES,
+  validateTemplateActivities,
+  snapshotWeek,
+  formatTemplate,
+  applyWeekPlan
+};
@@ -1,3 +1,22 @@
+const { resolveGoal } = require('./goals');
+const { formatShootingSet, summarizeZones } = require('./shooting');
+const { sessionLoad } = require('./load');
+const { formatWellness } = require('./journal');
+
+// Relations loaded with every training day response
+const TRAINING_DAY_INCLUDE = {
+  plannedActivities: {
+    include: { drill: true }
+  },
+  actualActivities: {
+    include: { shootingSets: true }
+  },
+  games: {
+    orderBy: { createdAt: 'asc' }
+  },
+  wellness: true
+};
+
 /**
  * Get or create a training day for a user
  */
@@ -11,10 +30,7 @@ async function getOrCreateTrainingDay(prisma, userId, date) {
         date: dateObj
       }
     },
-    include: {
-      plannedActivities: true,
-      actualActivities: true
-    }
+    include: TRAINING_DAY_INCLUDE
   });
 
   if (!trainingDay) {
@@ -24,20 +40,53 @@ async function getOrCreateTrainingDay(prisma, userId, date) {
         date: dateObj,
         isGameDay: false
       },
-      include: {
-        plannedActivities: true,
-        actualActivities: true
-      }
+      include: TRAINING_DAY_INCLUDE
     });
   }
 
   return trainingDay;
 }
 
+/**
+ * An unsaved, empty training day, for reads of days nothing has been
+ * logged on. Its id is null.
+ */
+function emptyTrainingDay(userId, date) {
+  return {
+    id: null,
+    userId,
+    date: new Date(date + 'T00:00:00.000Z'),
+    isGameDay: false,
+    shootingGoal: null,
+    notes: null,
+    plannedActivities: [],
+    actualActivities: [],
+    games: [],
+    wellness: null
+  };
+}
+
+/**
+ * Get a user's training day, or an empty one if none exists. Never writes.
+ */
+async function findTrainingDay(prisma, userId, date) {
+  const trainingDay = await prisma.trainingDay.findUnique({
+    where: {
+      userId_date: {
+        userId,
+        date: new Date(date + 'T00:00:00.000Z')
+      }
+    },
+    include: TRAINING_DAY_INCLUDE
+  });
+
+  return trainingDay || emptyTrainingDay(userId, date);
+}
+
 /**
  * Format training day data for API response
  */
-function formatTrainingDayResponse(trainingDay) {
+function formatTrainingDayResponse(trainingDay, goalHistory = []) {
   const date = trainingDay.date.toISOString().split('T')[0];
 
   // Group planned activities
@@ -51,19 +100,31 @@ function formatTrainingDayResponse(trainingDay) {
     if (activity.type === 'shooting') {
       planned.shooting = {
         id: activity.id,
-        time: activity.plannedTime
+        time: activity.plannedTime,
+        assignedById: activity.assignedById
       };
     } else if (activity.type === 'pickup') {
       planned.pickupRuns.push({
         id: activity.id,
         time: activity.plannedTime,
-        location: activity.location
+        location: activity.location,
+        assignedById: activity.assignedById
       });
     } else if (activity.type === 'custom') {
       planned.custom.push({
         id: activity.id,
         time: activity.plannedTime,
-        name: activity.name
+        name: activity.name,
+        drillId: activity.drillId,
+        drill: activity.drill ? {
+          name: activity.drill.name,
+          category: activity.drill.category,
+          targetMinutes: activity.drill.targetMinutes,
+          sets: activity.drill.sets,
+          reps: activity.drill.reps,
+          instructions: activity.drill.instructions
+        } : null,
+        assignedById: activity.assignedById
       });
     }
   });
@@ -72,18 +133,36 @@ function formatTrainingDayResponse(trainingDay) {
   const actual = {
     shootingMakes: 0,
     shootingCompletedAt: null,
+    shootingSets: [],
+    shootingZones: [],
     coachSkills: false,
     coachWeights: false,
     varsity: false,
     pickupRuns: [],
-    custom: []
+    custom: [],
+    // Every logged session with its duration, effort and load
+    sessions: []
   };
+  let trainingLoad = 0;
 
   trainingDay.actualActivities.forEach(activity => {
+    const load = sessionLoad(activity);
+    trainingLoad += load || 0;
+    actual.sessions.push({
+      id: activity.id,
+      type: activity.type,
+      completedAt: activity.completedAt,
+      durationMinutes: activity.durationMinutes,
+      rpe: activity.rpe,
+      load
+    });
+
     switch (activity.type) {
       case 'shooting':
         actual.shootingMakes = activity.shootingMakes || 0;
         actual.shootingCompletedAt = activity.completedAt;
+        actual.shootingSets = (activity.shootingSets || []).map(formatShootingSet);
+        actual.shootingZones = summarizeZones(activity.shootingSets || []);
         break;
       case 'coach_skills':
         actual.coachSkills = true;
@@ -97,13 +176,22 @@ function formatTrainingDayResponse(trainingDay) {
       case 'pickup':
         actual.pickupRuns.push({
           id: activity.id,
-          completedAt: activity.completedAt
+          plannedActivityId: activity.plannedActivityId,
+          completedAt: activity.completedAt,
+          durationMinutes: activity.durationMinutes,
+          rpe: activity.rpe
         });
         break;
       case 'custom':
         actual.custom.push({
           id: activity.id,
-          completedAt: activity.completedAt
+          plannedActivityId: activity.plannedActivityId,
+          drillId: activity.drillId,
+          completedAt: activity.completedAt,
+          durationMinutes: activity.durationMinutes,
+          rpe: activity.rpe,
+          sets: activity.sets,
+          reps: activity.reps
         });
         break;
     }
@@ -113,60 +201,29 @@ function formatTrainingDayResponse(trainingDay) {
     id: trainingDay.id,
     date,
     isGameDay: trainingDay.isGameDay,
+    goal: resolveGoal(goalHistory, trainingDay),
+    goalOverride: trainingDay.shootingGoal ?? null,
     planned,
-    actual
+    actual,
+    trainingLoad,
+    games: (trainingDay.games || []).map(game => ({
+      id: game.id,
+      opponent: game.opponent,
+      site: game.site,
+      startTime: game.startTime,
+      teamScore: game.teamScore,
+      opponentScore: game.opponentScore,
+      points: game.points
+    })),
+    notes: trainingDay.notes ?? null,
+    wellness: formatWellness(trainingDay.wellness)
   };
 }
 
-/**
- * Calculate streak for a user
- */
-async function calculateStreak(prisma, userId) {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-
-  let streak = 0;
-  let currentDate = new Date(today);
-
-  while (true) {
-    const dateStr = currentDate.toISOString().split('T')[0];
-    const trainingDay = await prisma.trainingDay.findUnique({
-      where: {
-        userId_date: {
-          userId,
-          date: new Date(dateStr + 'T00:00:00.000Z')
-        }
-      },
-      include: {
-        actualActivities: {
-          where: { type: 'shooting' }
-        }
-      }
-    });
-
-    const shootingActivity = trainingDay?.actualActivities?.[0];
-    const makes = shootingActivity?.shootingMakes || 0;
-
-    if (makes >= 200) {
-      streak++;
-      currentDate.setDate(currentDate.getDate() - 1);
-    } else if (streak > 0 || currentDate < today) {
-      // If we've started counting and hit a gap, or we're looking at past days
-      break;
-    } else {
-      // Today hasn't hit 200 yet, check yesterday
-      currentDate.setDate(currentDate.getDate() - 1);
-    }
-
-    // Safety limit
-    if (streak > 365) break;
-  }
-
-  return streak;
-}
-
 module.exports = {
+  TRAINING_DAY_INCLUDE,
   getOrCreateTrainingDay,
-  formatTrainingDayResponse,
-  calculateStreak
+  emptyTrainingDay,
+  findTrainingDay,
+  formatTrainingDayResponse
 };
@@ -0,0 +1,80 @@
+const { TRAINING_DAY_INCLUDE, emptyTrainingDay, formatTrainingDayResponse } = require('./training');
+const { getGoalHistory, resolveGoal } = require('./goals');
+const { getSchedule, getBlocksForDate, formatScheduleBlock, formatScheduleException } = require('./schedule');
+const { findCompletion } = require('./adherence');
+const { toDateKey, addDays } = require('./dates');
+
+/**
+ * How much of a day's plan is done. Shooting always counts (goal met or
+ * not), plus every fixed block that applies and every planned pickup and
+ * custom activity.
+ */
+function getDayCompletion(trainingDay, blocks, goal) {
+  const actualTypes = new Set(trainingDay.actualActivities.map(activity => activity.type));
+  const makes = trainingDay.actualActivities
+    .filter(activity => activity.type === 'shooting')
+    .reduce((sum, activity) => sum + (activity.shootingMakes || 0), 0);
+
+  const others = trainingDay.plannedActivities.filter(activity => activity.type !== 'shooting');
+  const planned = 1 + blocks.length + others.length;
+  const completed = (makes >= goal ? 1 : 0) +
+    blocks.filter(block => actualTypes.has(block.type)).length +
+    others.filter(activity => findCompletion(activity, trainingDay.actualActivities)?.completedAt).length;
+
+  return {
+    planned,
+    completed,
+    percent: Math.round((completed / planned) * 100)
+  };
+}
+
+/**
+ * Every day between two YYYY-MM-DD dates, logged or not, each with the
+ * fixed blocks that apply and its completion, plus the schedule itself.
+ * Reads only; days without data are synthesized.
+ */
+async function getTrainingCalendar(prisma, userId, start, end) {
+  const [trainingDays, goalHistory, schedule] = await Promise.all([
+    prisma.trainingDay.findMany({
+      where: {
+        userId,
+        date: {
+          gte: new Date(start + 'T00:00:00.000Z'),
+          lte: new Date(end + 'T00:00:00.000Z')
+        }
+      },
+      include: TRAINING_DAY_INCLUDE
+    }),
+    getGoalHistory(prisma, userId),
+    getSchedule(prisma, userId)
+  ]);
+
+  const byDate = new Map(trainingDays.map(day => [toDateKey(day.date), day]));
+  const days = [];
+
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    const trainingDay = byDate.get(date) || emptyTrainingDay(userId, date);
+    const blocks = getBlocksForDate(schedule, date, trainingDay.isGameDay);
+
+    days.push({
+      ...formatTrainingDayResponse(trainingDay, goalHistory),
+      fixedBlocks: blocks.map(formatScheduleBlock),
+      completion: getDayCompletion(trainingDay, blocks, resolveGoal(goalHistory, trainingDay))
+    });
+  }
+
+  return {
+    start,
+    end,
+    schedule: {
+      blocks: schedule.blocks.map(formatScheduleBlock),
+      exceptions: schedule.exceptions.map(formatScheduleException)
+    },
+    days
+  };
+}
+
+module.exports = {
+  getDayCompletion,
+  getTrainingCalendar
+};
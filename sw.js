@@ -58,6 +58,9 @@ self.addEventListener('fetch', (event) => {
 // Handle notification clicks
 self.addEventListener('notificationclick', (event) => {
   event.notification.close();
+  if (event.action === 'dismiss') return;
+
+  const url = event.notification.data?.url || './index.html';
   event.waitUntil(
     clients.matchAll({ type: 'window' }).then((clientList) => {
       // If app is already open, focus it
@@ -68,21 +71,32 @@ self.addEventListener('notificationclick', (event) => {
       }
       // Otherwise open a new window
       if (clients.openWindow) {
-        return clients.openWindow("./index.html");
+        return clients.openWindow(url);
       }
     })
   );
 });
 
-// Handle push notifications (for future server-side push)
+// Handle push notifications from the server. Payloads are JSON
+// ({ title, body, tag, url }); plain text is used as the body.
 self.addEventListener('push', (event) => {
+  let payload = {};
+  if (event.data) {
+    try {
+      payload = event.data.json();
+    } catch (err) {
+      payload = { body: event.data.text() };
+    }
+  }
+
   const options = {
-    body: event.data ? event.data.text() : 'Time to train!',
+    body: payload.body || 'Time to train!',
     icon: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><text y=".9em" font-size="90">🏀</text></svg>',
     badge: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><text y=".9em" font-size="90">🏀</text></svg>',
     vibrate: [200, 100, 200],
-    tag: 'ethan-training',
+    tag: payload.tag || 'ethan-training',
     renotify: true,
+    data: { url: payload.url || './index.html' },
     actions: [
       { action: 'open', title: 'Open App' },
       { action: 'dismiss', title: 'Dismiss' }
@@ -90,6 +104,6 @@ self.addEventListener('push', (event) => {
   };
 
   event.waitUntil(
-    self.registration.showNotification("Ethan's Training", options)
+    self.registration.showNotification(payload.title || "Ethan's Training", options)
   );
 });